@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+const { print } = require("graphql");
+const { gql } = require("@apollo/client/core");
+const { addTypenameToDocument } = require("@apollo/client/utilities");
+
+/**
+ * Persisted queries manifest
+ *
+ * Extracts all the operations (queries, mutations, subscriptions) from the gql documents in src/*.jsx
+ * and writes them into ../server/persisted-queries.json together with their SHA-256 hashes. The server
+ * can then run in "allowlist only" mode and execute only these operations - see
+ * server/plugins/persisted-queries.js.
+ *
+ * Run it after every change of the client's gql documents:
+ *
+ * npm run persisted-queries
+ *
+ * The hash has to be computed from exactly the same text the Apollo Client sends to the server. The client
+ * adds the __typename field to every selection set (the InMemoryCache needs it) and then prints the
+ * document, so we do the same here.
+ */
+const SRC_DIR = path.join(__dirname, "..", "src");
+const MANIFEST_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "server",
+  "persisted-queries.json"
+);
+
+// f.e. const QUERY_ALL_USERS = gql` ... `;
+const GQL_DOCUMENT = /const (\w+) = gql`([\s\S]*?)`;/g;
+// f.e. ${USER_DETAILS_FRAGMENT}
+const INTERPOLATION = /\$\{(\w+)\}/g;
+
+const readDocuments = () => {
+  const sources = {};
+
+  fs.readdirSync(SRC_DIR)
+    .filter((file) => file.endsWith(".jsx"))
+    .forEach((file) => {
+      const code = fs.readFileSync(path.join(SRC_DIR, file), "utf-8");
+      for (const [, name, source] of code.matchAll(GQL_DOCUMENT)) {
+        sources[name] = source;
+      }
+    });
+
+  // The fragments are interpolated into the documents - gql`${FRAGMENT} query ...` - so we
+  // replace the interpolations with the fragment sources, the same way as the gql tag does it.
+  const resolve = (source) =>
+    source.replace(INTERPOLATION, (_, name) => {
+      if (!(name in sources)) {
+        throw new Error(`Unknown gql document interpolated: ${name}`);
+      }
+      return resolve(sources[name]);
+    });
+
+  return Object.entries(sources).map(([variableName, source]) => ({
+    variableName,
+    document: gql(resolve(source)),
+  }));
+};
+
+const toManifestOperation = ({ variableName, document }) => {
+  const body = print(addTypenameToDocument(document));
+  const operation = document.definitions.find(
+    (definition) => definition.kind === "OperationDefinition"
+  );
+
+  return {
+    id: createHash("sha256").update(body).digest("hex"),
+    // Anonymous operations (f.e. "query ($name: String!) { ... }") are named
+    // by the variable holding the document.
+    name: operation.name?.value || variableName,
+    type: operation.operation,
+    body,
+  };
+};
+
+const operations = readDocuments()
+  // Documents with fragments only are not operations - they are used inside the other documents
+  .filter(({ document }) =>
+    document.definitions.some(
+      (definition) => definition.kind === "OperationDefinition"
+    )
+  )
+  .map(toManifestOperation)
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// The same format as the Apollo persisted query manifest, so it can be used by other tools too
+const manifest = {
+  format: "apollo-persisted-query-manifest",
+  version: 1,
+  operations,
+};
+
+fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`${operations.length} operations written to ${MANIFEST_FILE}`);
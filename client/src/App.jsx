@@ -4,15 +4,24 @@ import {
   InMemoryCache,
   ApolloProvider,
   createHttpLink,
+  split,
 } from "@apollo/client";
 import { setContext } from "@apollo/client/link/context";
+import { createPersistedQueryLink } from "@apollo/client/link/persisted-queries";
+import { GraphQLWsLink } from "@apollo/client/link/subscriptions";
+import { getMainDefinition } from "@apollo/client/utilities";
+import { createClient } from "graphql-ws";
+import { sha256 } from "crypto-hash";
 
 import "./App.css";
 import DisplayData from "./DisplayData";
+import Login, { TOKEN_STORAGE_KEY } from "./Login";
 
 /**
- * Adding custom headers to our GraphQL requests. This is the way we can add
- * f.e. the Authorization header with the user's JWT token to the request.
+ * Adding custom headers to our GraphQL requests. This is the way we add
+ * the Authorization header with the user's JWT token to the request.
+ * The token is saved into the localStorage after login (see Login.jsx). The setContext
+ * callback is called before every request, so the newest token is always used.
  *
  * More info:
  * - about authentication: https://www.apollographql.com/docs/react/networking/authentication/
@@ -23,24 +32,72 @@ const httpLink = createHttpLink({
 });
 
 const headers = setContext((_, { headers }) => {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+
   return {
     headers: {
       ...headers,
-      customHeader: "testtest",
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
     },
   };
 });
 
+/**
+ * Automatic persisted queries - instead of the whole query text only its SHA-256 hash is sent
+ * to the server. If the server doesn't know the hash yet, the link sends the query once more with the
+ * whole text. The server knows all the queries of this client from the persisted queries manifest
+ * (generated by "npm run persisted-queries", see scripts/extract-persisted-queries.js).
+ *
+ * More info: https://www.apollographql.com/docs/react/api/link/persisted-queries/
+ */
+const persistedQueries = createPersistedQueryLink({ sha256 });
+
+/**
+ * Subscriptions are sent over a WebSocket connection, not over HTTP. Browsers can't send
+ * custom headers with WebSockets, so the token is sent in the "connectionParams" when the
+ * connection is opened (the server reads it in context.js).
+ */
+const wsLink = new GraphQLWsLink(
+  createClient({
+    url: "ws://localhost:4000/graphql",
+    connectionParams: () => {
+      const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+      return token ? { authorization: `Bearer ${token}` } : {};
+    },
+  })
+);
+
+/**
+ * Splitting the requests between the links - subscriptions are going to the WebSocket link,
+ * queries and mutations to the HTTP link (with the auth headers and persisted queries).
+ */
+const link = split(
+  ({ query }) => {
+    const definition = getMainDefinition(query);
+    return (
+      definition.kind === "OperationDefinition" &&
+      definition.operation === "subscription"
+    );
+  },
+  wsLink,
+  headers.concat(persistedQueries).concat(httpLink)
+);
+
 function App() {
   const client = new ApolloClient({
     cache: new InMemoryCache(),
     uri: "http://localhost:4000/graphql",
-    link: headers.concat(httpLink),
+    link,
+    // Sent in the "apollographql-client-name" and "apollographql-client-version" headers, so the server
+    // knows which client is still using the deprecated fields (see server/plugins/deprecation-usage.js)
+    name: "web",
+    version: "1.0.0",
   });
 
   return (
     <ApolloProvider client={client}>
       <div className="App">
+        <Login />
         <DisplayData />
       </div>
     </ApolloProvider>
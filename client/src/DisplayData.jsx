@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { useQuery, useLazyQuery, gql, useMutation } from "@apollo/client";
 
 /**
@@ -15,6 +15,42 @@ const FRAGMENTS = gql`
   }
 `;
 
+/**
+ * Fragments can also use other fragments. The UserDetails fragment holds all the User fields we
+ * display - it is used in the GetAllUsers query and also in the user subscriptions (see below), so
+ * the users coming from the subscriptions have the same fields as the users from the query.
+ */
+const USER_DETAILS_FRAGMENT = gql`
+  ${FRAGMENTS}
+  fragment UserDetails on User {
+    id
+    username
+    # Using the fragment instead of "name" and "age"
+    ...GetAgeAndName
+    nationality
+    # The "friends" field is a nested one (it is a type User), so we
+    # need to define the concrete fields here too.
+    friends {
+      id
+      ...GetAgeAndName
+      # Same here, we need to define concrete fields to load.
+      # Note: we are querying a query, which has an interface return type. More about this
+      # see the QUERY_ALL_MOVIES query.
+      favoriteMovies {
+        __typename
+        name
+        yearOfPublication
+        ... on TvMovie {
+          yearFirstAired
+        }
+        ... on TheaterMovie {
+          isInTheaters
+        }
+      }
+    }
+  }
+`;
+
 /**
  * Querying users
  *
@@ -24,49 +60,34 @@ const FRAGMENTS = gql`
  */
 const QUERY_ALL_USERS = gql`
   # Needs to be referenced here if we want to use the fragments in the actual query.
-  ${FRAGMENTS}
+  ${USER_DETAILS_FRAGMENT}
   query GetAllUsers {
-    # The query name. For available queries, see type-defs.js
+    # The query name. For available queries, see the .graphql files in server/schema/modules
     # Then we provide all the fields what we want to load.
-    users {
-      # The response GraphQL type. If we have an array, we will get the type for every array elem.
-      __typename
-      # "users" query is returning a union type. On server, in the special "__resolveType" we resolve the type
-      # for the response (for every array elem). So the server will know for every array elem, which type it is.
-      # According to this, we can query different fields for each union member.
-      ... on User {
-        id
-        username
-        # Using the fragment instead of "name" and "age"
-        ...GetAgeAndName
-        nationality
-        # The "friends" field is a nested one (it is a type User), so we
-        # need to define the concrete fields here too.
-        friends {
-          id
-          ...GetAgeAndName
-          # Same here, we need to define concrete fields to load.
-          # Note: we are querying a query, which has an interface return type. More about this
-          # see the QUERY_ALL_MOVIES query.
-          favoriteMovies {
-            __typename
+    # "users" query is returning a connection (one page of users), so the actual users are
+    # in the "node" field of every edge. See the connection types in the server schema modules.
+    # The server returns at most 100 items in one page, so we ask for the page size explicitly.
+    users(first: 50) {
+      edges {
+        node {
+          # The response GraphQL type. If we have an array, we will get the type for every array elem.
+          __typename
+          # "users" query is returning a union type. On server, in the special "__resolveType" we resolve the type
+          # for the response (for every array elem). So the server will know for every array elem, which type it is.
+          # According to this, we can query different fields for each union member.
+          ... on User {
+            # All the User fields are in the UserDetails fragment (see above), because
+            # we need the same fields also in the user subscriptions.
+            ...UserDetails
+          }
+          ... on Admin {
+            id
             name
-            yearOfPublication
-            ... on TvMovie {
-              yearFirstAired
-            }
-            ... on TheaterMovie {
-              isInTheaters
-            }
+            username
+            role
           }
         }
       }
-      ... on Admin {
-        id
-        name
-        username
-        role
-      }
     }
   }
 `;
@@ -74,7 +95,12 @@ const QUERY_ALL_USERS = gql`
 /**
  * Query request syntax no. 2:
  * Using "unnamed" query request without parameters. For queries we can
- * avoid the "query" keyword if we don't have any parameters (we can't avoid it at mutations though).
+ * avoid the "query" keyword if we don't have any parameters (we can't avoid it at mutations though):
+ *
+ * { movies { edges { node { name } } } }
+ *
+ * It works, but the code generator (see server/.graphqlrc.yml) needs the operation name for the generated
+ * types and hooks (f.e. GetAllMoviesQuery and useGetAllMoviesQuery), so all our operations are named.
  *
  * "movies" query is returning an interface type. Querying such a query is quite similar as querying a query with
  * union return type (see QUERY_ALL_USERS). The main difference is, that we can query the common fields (so which are
@@ -85,16 +111,21 @@ const QUERY_ALL_USERS = gql`
  * the same time) and GraphQL doesn't check the members of the unions in depth, whether they contain some common fields.
  */
 const QUERY_ALL_MOVIES = gql`
-  {
-    movies {
-      __typename
-      name
-      yearOfPublication
-      ... on TvMovie {
-        yearFirstAired
-      }
-      ... on TheaterMovie {
-        isInTheaters
+  query GetAllMovies {
+    movies(first: 50) {
+      edges {
+        node {
+          __typename
+          id
+          name
+          yearOfPublication
+          ... on TvMovie {
+            yearFirstAired
+          }
+          ... on TheaterMovie {
+            isInTheaters
+          }
+        }
       }
     }
   }
@@ -107,10 +138,11 @@ const QUERY_ALL_MOVIES = gql`
  * this file (you can provide a "variables" object into the query).
  *
  * Query request syntax no. 3:
- * "Unnamed" query request with parameter.
+ * "Unnamed" query request with parameter - "query ($name: String!) { ... }". The same as above, we name it
+ * because of the code generator.
  */
 const GET_MOVIE_BY_NAME = gql`
-  query ($name: String!) {
+  query GetMovieByName($name: String!) {
     movie(name: $name) {
       __typename
       name
@@ -145,6 +177,79 @@ const CREATE_USER_MUTATION = gql`
   }
 `;
 
+/**
+ * Subscriptions
+ *
+ * Instead of asking the server for the data (like queries do), we subscribe to some events and the
+ * server will send us the data every time the event happens - f.e. when some user is created. Subscriptions
+ * are sent over a WebSocket connection (see the split link in App.jsx).
+ */
+const USER_CREATED_SUBSCRIPTION = gql`
+  ${USER_DETAILS_FRAGMENT}
+  subscription OnUserCreated {
+    userCreated {
+      ...UserDetails
+    }
+  }
+`;
+
+const USER_UPDATED_SUBSCRIPTION = gql`
+  ${USER_DETAILS_FRAGMENT}
+  subscription OnUserUpdated {
+    userUpdated {
+      ...UserDetails
+    }
+  }
+`;
+
+const USER_DELETED_SUBSCRIPTION = gql`
+  subscription OnUserDeleted {
+    userDeleted
+  }
+`;
+
+const MOVIE_CHANGED_SUBSCRIPTION = gql`
+  subscription OnMovieChanged {
+    movieChanged {
+      action
+      movie {
+        __typename
+        id
+        name
+        yearOfPublication
+        ... on TvMovie {
+          yearFirstAired
+        }
+        ... on TheaterMovie {
+          isInTheaters
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Helpers for changing the connection (one page of items) in the cached query result.
+ * The query result in the cache is immutable, so we always return a new object.
+ */
+const appendNode = (connection, node, edgeTypename) => ({
+  ...connection,
+  edges: [...connection.edges, { __typename: edgeTypename, node }],
+});
+
+const removeNode = (connection, predicate) => ({
+  ...connection,
+  edges: connection.edges.filter(({ node }) => !predicate(node)),
+});
+
+function FieldError({ message }) {
+  if (!message) {
+    return null;
+  }
+
+  return <span className="field-error">{message}</span>;
+}
+
 function DisplayData() {
   /**
    * useState
@@ -179,11 +284,94 @@ function DisplayData() {
    * options:
    * variables - if we have a query with parameter, we can provide those parameters there
    */
-  const { data, loading, error, refetch } = useQuery(QUERY_ALL_USERS, {
+  const { data, loading, error, subscribeToMore } = useQuery(QUERY_ALL_USERS, {
     // variables: {}
   });
 
-  const { data: movieData } = useQuery(QUERY_ALL_MOVIES);
+  const { data: movieData, subscribeToMore: subscribeToMoreMovies } =
+    useQuery(QUERY_ALL_MOVIES);
+
+  /**
+   * subscribeToMore
+   *
+   * Starts a subscription and updates the result of the query with the data sent by the server, so
+   * the component gets re-rendered with the new data without any refetch. In "updateQuery" we get the
+   * current query result and the subscription data and we return the new query result.
+   *
+   * For the updated users/movies we don't need "updateQuery" - Apollo cache stores every object under
+   * its __typename and id, so when the subscription returns a User with an existing id, the cached User
+   * gets updated and every query containing it too.
+   *
+   * useEffect is needed, because we want to subscribe only once (not on every render) and unsubscribe
+   * when the component is removed (the returned function).
+   */
+  useEffect(() => {
+    const unsubscribes = [
+      subscribeToMore({
+        document: USER_CREATED_SUBSCRIPTION,
+        updateQuery: (prev, { subscriptionData }) => {
+          if (!subscriptionData.data) {
+            return prev;
+          }
+
+          return {
+            ...prev,
+            users: appendNode(
+              prev.users,
+              subscriptionData.data.userCreated,
+              "UserAdminEdge"
+            ),
+          };
+        },
+      }),
+      subscribeToMore({ document: USER_UPDATED_SUBSCRIPTION }),
+      subscribeToMore({
+        document: USER_DELETED_SUBSCRIPTION,
+        updateQuery: (prev, { subscriptionData }) => {
+          if (!subscriptionData.data) {
+            return prev;
+          }
+
+          const deletedId = subscriptionData.data.userDeleted;
+          return {
+            ...prev,
+            users: removeNode(
+              prev.users,
+              (user) => user.__typename === "User" && user.id === deletedId
+            ),
+          };
+        },
+      }),
+      subscribeToMoreMovies({
+        document: MOVIE_CHANGED_SUBSCRIPTION,
+        updateQuery: (prev, { subscriptionData }) => {
+          if (!subscriptionData.data) {
+            return prev;
+          }
+
+          const { action, movie } = subscriptionData.data.movieChanged;
+
+          if (action === "CREATED") {
+            return {
+              ...prev,
+              movies: appendNode(prev.movies, movie, "MovieEdge"),
+            };
+          }
+
+          if (action === "DELETED") {
+            return {
+              ...prev,
+              movies: removeNode(prev.movies, ({ id }) => id === movie.id),
+            };
+          }
+
+          return prev;
+        },
+      }),
+    ];
+
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [subscribeToMore, subscribeToMoreMovies]);
 
   /**
    * useLazyQuery
@@ -205,9 +393,24 @@ function DisplayData() {
    * Executing the mutation. It will work similar to the useLazyQuery, so the mutation won't execute immediately, but on
    * the call of the "createUser" function. Everything else is the same as at the useLazyQuery.
    */
-  const [createUser] = useMutation(CREATE_USER_MUTATION, {
-    // variables: {}
-  });
+  const [createUser, { error: createUserError }] = useMutation(
+    CREATE_USER_MUTATION,
+    {
+      // variables: {}
+    }
+  );
+
+  /**
+   * Field errors
+   *
+   * If some input value breaks the validation rules (see the @length, @range, ... directives in the server schema modules),
+   * the server returns the VALIDATION_FAILED error with the list of the invalid fields in the "fieldErrors"
+   * extension. So we can show every message next to the right input.
+   */
+  const fieldErrors =
+    createUserError?.graphQLErrors[0]?.extensions?.fieldErrors ?? [];
+  const fieldError = (field) =>
+    fieldErrors.find((fieldError) => fieldError.field === field)?.message;
 
   if (loading) {
     return <h1> DATA IS LOADING...</h1>;
@@ -227,6 +430,7 @@ function DisplayData() {
             setName(event.target.value);
           }}
         />
+        <FieldError message={fieldError("name")} />
         <input
           type="text"
           placeholder="Username..."
@@ -234,6 +438,7 @@ function DisplayData() {
             setUsername(event.target.value);
           }}
         />
+        <FieldError message={fieldError("username")} />
         <input
           type="number"
           placeholder="Age..."
@@ -241,6 +446,7 @@ function DisplayData() {
             setAge(event.target.value);
           }}
         />
+        <FieldError message={fieldError("age")} />
         <input
           type="text"
           placeholder="Nationality..."
@@ -248,22 +454,29 @@ function DisplayData() {
             setNationality(event.target.value.toUpperCase());
           }}
         />
+        <FieldError message={fieldError("nationality")} />
         <button
           onClick={() => {
             createUser({
               variables: {
-                input: { name, username, age: Number(age), nationality },
+                input: {
+                  name,
+                  username,
+                  age: Number(age),
+                  // Not sent at all if empty, so the default value from CreateUserInput is used
+                  nationality: nationality || undefined,
+                },
               },
-            });
-
-            refetch();
+              // The error is shown from the "createUserError" above
+            }).catch(() => {});
+            // No refetch needed - the new user comes from the userCreated subscription
           }}
         >
           Create User
         </button>
       </div>
       {data &&
-        data.users.map((user) => {
+        data.users.edges.map(({ node: user }) => {
           return (
             <div>
               <h1>Name: {user.name}</h1>
@@ -287,7 +500,7 @@ function DisplayData() {
         })}
 
       {movieData &&
-        movieData.movies.map((movie) => {
+        movieData.movies.edges.map(({ node: movie }) => {
           return (
             <>
               <h1>Movie Name: {movie.name}</h1>
@@ -346,3 +559,15 @@ function DisplayData() {
 }
 
 export default DisplayData;
+
+// The documents are exported for the tests (see DisplayData.test.jsx), the mocked responses are matched by them
+export {
+  QUERY_ALL_USERS,
+  QUERY_ALL_MOVIES,
+  GET_MOVIE_BY_NAME,
+  CREATE_USER_MUTATION,
+  USER_CREATED_SUBSCRIPTION,
+  USER_UPDATED_SUBSCRIPTION,
+  USER_DELETED_SUBSCRIPTION,
+  MOVIE_CHANGED_SUBSCRIPTION,
+};
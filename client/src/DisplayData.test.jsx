@@ -0,0 +1,309 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { MockedProvider } from "@apollo/client/testing";
+import { GraphQLError } from "graphql";
+
+import DisplayData, {
+  QUERY_ALL_USERS,
+  QUERY_ALL_MOVIES,
+  GET_MOVIE_BY_NAME,
+  CREATE_USER_MUTATION,
+  USER_CREATED_SUBSCRIPTION,
+  USER_UPDATED_SUBSCRIPTION,
+  USER_DELETED_SUBSCRIPTION,
+  MOVIE_CHANGED_SUBSCRIPTION,
+} from "./DisplayData";
+
+/**
+ * DisplayData with a mocked Apollo provider
+ *
+ * MockedProvider doesn't send anything to the server - every operation gets the response from the "mocks"
+ * with the same document and variables. A mock is used only once, an operation without a mock fails.
+ *
+ * The mocked responses have the same shape as the real ones from the server, including the __typename
+ * fields - the cache needs them (and the component decides by them, which fields to show).
+ */
+const interstellar = {
+  __typename: "TheaterMovie",
+  id: "VGhlYXRlck1vdmllOjI=",
+  name: "Interstellar",
+  yearOfPublication: 2007,
+  isInTheaters: true,
+};
+
+const americanPie = {
+  __typename: "TvMovie",
+  id: "VHZNb3ZpZTo1",
+  name: "American Pie 6",
+  yearOfPublication: 2004,
+  yearFirstAired: 2006,
+};
+
+const john = {
+  __typename: "User",
+  id: "VXNlcjox",
+  username: "john",
+  name: "John",
+  age: 20,
+  nationality: "CANADA",
+  friends: [
+    {
+      __typename: "User",
+      id: "VXNlcjoy",
+      name: "Pedro",
+      age: 20,
+      favoriteMovies: [
+        {
+          __typename: "TheaterMovie",
+          name: "Interstellar",
+          yearOfPublication: 2007,
+          isInTheaters: true,
+        },
+      ],
+    },
+  ],
+};
+
+const andrew = {
+  __typename: "Admin",
+  id: "QWRtaW46MQ==",
+  name: "Andrew",
+  username: "andrew001",
+  role: "SUPERADMIN",
+};
+
+const eva = {
+  __typename: "User",
+  id: "VXNlcjo2",
+  username: "eva_1",
+  name: "Eva",
+  age: 30,
+  nationality: "BRAZIL",
+  friends: [],
+};
+
+const usersMock = {
+  request: { query: QUERY_ALL_USERS },
+  result: {
+    data: {
+      users: {
+        __typename: "UserAdminConnection",
+        edges: [
+          { __typename: "UserAdminEdge", node: john },
+          { __typename: "UserAdminEdge", node: andrew },
+        ],
+      },
+    },
+  },
+};
+
+const moviesMock = {
+  request: { query: QUERY_ALL_MOVIES },
+  result: {
+    data: {
+      movies: {
+        __typename: "MovieConnection",
+        edges: [
+          { __typename: "MovieEdge", node: interstellar },
+          { __typename: "MovieEdge", node: americanPie },
+        ],
+      },
+    },
+  },
+};
+
+// The subscriptions are started with the first render, they get their events only in the tests needing them
+const subscriptionMock = (query, data) => ({
+  request: { query },
+  ...(data ? { result: { data } } : { delay: Infinity, result: {} }),
+});
+
+/**
+ * "mocks" - the mocks of the operations started by the test, "users" - the mock of the users query,
+ * "userCreated" - the event of the userCreated subscription
+ */
+const renderDisplayData = ({
+  mocks = [],
+  users = usersMock,
+  userCreated,
+} = {}) =>
+  render(
+    <MockedProvider
+      mocks={[
+        users,
+        moviesMock,
+        subscriptionMock(USER_CREATED_SUBSCRIPTION, userCreated),
+        subscriptionMock(USER_UPDATED_SUBSCRIPTION),
+        subscriptionMock(USER_DELETED_SUBSCRIPTION),
+        subscriptionMock(MOVIE_CHANGED_SUBSCRIPTION),
+        ...mocks,
+      ]}
+    >
+      <DisplayData />
+    </MockedProvider>
+  );
+
+it("shows the loading state first", () => {
+  renderDisplayData();
+
+  expect(screen.getByText("DATA IS LOADING...")).toBeInTheDocument();
+});
+
+it("shows the users and the admins by their __typename", async () => {
+  renderDisplayData();
+
+  expect(await screen.findByText("Name: John")).toBeInTheDocument();
+  expect(screen.getByText("Nationality: CANADA")).toBeInTheDocument();
+  expect(screen.getByText("Friends: Pedro")).toBeInTheDocument();
+  expect(screen.getByText("Name: Andrew")).toBeInTheDocument();
+  expect(screen.getByText("Role: SUPERADMIN")).toBeInTheDocument();
+  // Only the users have the nationality
+  expect(screen.getAllByText(/^Nationality:/)).toHaveLength(1);
+});
+
+it("shows the fields of the concrete movie types", async () => {
+  renderDisplayData();
+
+  expect(
+    await screen.findByText("Movie Name: Interstellar")
+  ).toBeInTheDocument();
+  expect(screen.getByText("Is in theaters: Yes")).toBeInTheDocument();
+  expect(screen.getByText("First aired: 2006")).toBeInTheDocument();
+});
+
+it("shows the error of the users query", async () => {
+  renderDisplayData({
+    users: {
+      request: { query: QUERY_ALL_USERS },
+      error: new Error("Network down"),
+    },
+  });
+
+  expect(
+    await screen.findByText("Error happened: Network down")
+  ).toBeInTheDocument();
+});
+
+it("fetches the searched movie", async () => {
+  renderDisplayData({
+    mocks: [
+      {
+        request: { query: GET_MOVIE_BY_NAME, variables: { name: "Pie" } },
+        result: { data: { movie: americanPie } },
+      },
+    ],
+  });
+
+  fireEvent.change(await screen.findByPlaceholderText("Interstellar..."), {
+    target: { value: "Pie" },
+  });
+  fireEvent.click(screen.getByText("Fetch Data"));
+
+  expect(
+    await screen.findByText("MovieName: American Pie 6")
+  ).toBeInTheDocument();
+  expect(screen.getByText("Year Of Publication: 2004")).toBeInTheDocument();
+});
+
+it("shows an error for an unknown movie", async () => {
+  renderDisplayData({
+    mocks: [
+      {
+        request: { query: GET_MOVIE_BY_NAME, variables: { name: "Avatar" } },
+        result: {
+          errors: [
+            new GraphQLError('Movie with name "Avatar" not found', {
+              extensions: { code: "NOT_FOUND" },
+            }),
+          ],
+        },
+      },
+    ],
+  });
+
+  fireEvent.change(await screen.findByPlaceholderText("Interstellar..."), {
+    target: { value: "Avatar" },
+  });
+  fireEvent.click(screen.getByText("Fetch Data"));
+
+  expect(
+    await screen.findByText("There was an error fetching the data")
+  ).toBeInTheDocument();
+});
+
+describe("creating a user", () => {
+  const fillForm = async ({ name, username, age }) => {
+    fireEvent.change(await screen.findByPlaceholderText("Name..."), {
+      target: { value: name },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Username..."), {
+      target: { value: username },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Age..."), {
+      target: { value: String(age) },
+    });
+    fireEvent.click(screen.getByText("Create User"));
+  };
+
+  it("shows the new user from the userCreated subscription", async () => {
+    renderDisplayData({
+      mocks: [
+        {
+          request: {
+            query: CREATE_USER_MUTATION,
+            variables: { input: { name: "Eva", username: "eva_1", age: 30 } },
+          },
+          result: {
+            data: {
+              createUser: { __typename: "User", name: "Eva", id: eva.id },
+            },
+          },
+        },
+      ],
+      userCreated: { userCreated: eva },
+    });
+
+    await fillForm({ name: "Eva", username: "eva_1", age: 30 });
+
+    expect(await screen.findByText("Name: Eva")).toBeInTheDocument();
+    expect(screen.getByText("Username: eva_1")).toBeInTheDocument();
+  });
+
+  it("shows the field errors of VALIDATION_FAILED next to the inputs", async () => {
+    renderDisplayData({
+      mocks: [
+        {
+          request: {
+            query: CREATE_USER_MUTATION,
+            variables: { input: { name: "Eva", username: "e v", age: 30 } },
+          },
+          result: {
+            errors: [
+              new GraphQLError(
+                "username: Only letters, numbers and _ are allowed",
+                {
+                  extensions: {
+                    code: "VALIDATION_FAILED",
+                    fieldErrors: [
+                      {
+                        field: "username",
+                        path: ["username"],
+                        message: "Only letters, numbers and _ are allowed",
+                      },
+                    ],
+                  },
+                }
+              ),
+            ],
+          },
+        },
+      ],
+    });
+
+    await fillForm({ name: "Eva", username: "e v", age: 30 });
+
+    expect(
+      await screen.findByText("Only letters, numbers and _ are allowed")
+    ).toHaveClass("field-error");
+  });
+});
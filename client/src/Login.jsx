@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { gql, useMutation, useQuery, useApolloClient } from "@apollo/client";
+
+export const TOKEN_STORAGE_KEY = "token";
+
+/**
+ * Login mutation
+ *
+ * The server returns a signed token, which we save into the localStorage. The Apollo link
+ * in App.jsx is then sending it in the Authorization header with every request.
+ */
+const LOGIN_MUTATION = gql`
+  mutation Login($username: String!, $password: String!) {
+    login(username: $username, password: $password) {
+      token
+    }
+  }
+`;
+
+const ME_QUERY = gql`
+  query Me {
+    me {
+      __typename
+      ... on User {
+        id
+        username
+      }
+      ... on Admin {
+        id
+        username
+        role
+      }
+    }
+  }
+`;
+
+function Login() {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+
+  const client = useApolloClient();
+  const { data } = useQuery(ME_QUERY);
+  const [login, { error }] = useMutation(LOGIN_MUTATION);
+
+  /**
+   * After login/logout the current user has changed, so the data in the Apollo cache
+   * (loaded with the old token) can be wrong - resetStore will clear the cache and refetch
+   * all the active queries with the new token.
+   */
+  const onLogin = async () => {
+    const { data: loginData } = await login({
+      variables: { username, password },
+    });
+    localStorage.setItem(TOKEN_STORAGE_KEY, loginData.login.token);
+    await client.resetStore();
+  };
+
+  const onLogout = async () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    await client.resetStore();
+  };
+
+  if (data?.me) {
+    return (
+      <div>
+        <p>
+          Logged in as {data.me.username}
+          {data.me.__typename === "Admin" && ` (${data.me.role})`}
+        </p>
+        <button onClick={onLogout}>Logout</button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <input
+        type="text"
+        placeholder="Username..."
+        onChange={(event) => {
+          setUsername(event.target.value);
+        }}
+      />
+      <input
+        type="password"
+        placeholder="Password..."
+        onChange={(event) => {
+          setPassword(event.target.value);
+        }}
+      />
+      <button onClick={() => onLogin().catch(() => {})}>Login</button>
+      {error && <p>{error.message}</p>}
+    </div>
+  );
+}
+
+export default Login;
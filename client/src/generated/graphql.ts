@@ -0,0 +1,1015 @@
+import { gql } from '@apollo/client';
+import * as Apollo from '@apollo/client';
+export type Maybe<T> = T | null;
+export type InputMaybe<T> = Maybe<T>;
+export type Exact<T extends { [key: string]: unknown }> = { [K in keyof T]: T[K] };
+export type MakeOptional<T, K extends keyof T> = Omit<T, K> & { [SubKey in K]?: Maybe<T[SubKey]> };
+export type MakeMaybe<T, K extends keyof T> = Omit<T, K> & { [SubKey in K]: Maybe<T[SubKey]> };
+export type MakeEmpty<T extends { [key: string]: unknown }, K extends keyof T> = { [_ in K]?: never };
+export type Incremental<T> = T | { [P in keyof T]?: P extends ' $fragmentName' | '__typename' ? T[P] : never };
+const defaultOptions = {} as const;
+/** All built-in and custom scalars, mapped to their actual values */
+export type Scalars = {
+  ID: { input: string; output: string; }
+  String: { input: string; output: string; }
+  Boolean: { input: boolean; output: boolean; }
+  Int: { input: number; output: number; }
+  Float: { input: number; output: number; }
+  Date: { input: string; output: string; }
+  DateTime: { input: string; output: string; }
+  EmailAddress: { input: string; output: string; }
+  JSON: { input: unknown; output: unknown; }
+  NonNegativeInt: { input: number; output: number; }
+};
+
+export type Admin = Node & {
+  __typename?: 'Admin';
+  createdAt: Scalars['DateTime']['output'];
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  role: AdminRole;
+  updatedAt: Scalars['DateTime']['output'];
+  username: Scalars['String']['output'];
+};
+
+export type AdminConnection = {
+  __typename?: 'AdminConnection';
+  edges: Array<AdminEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type AdminEdge = {
+  __typename?: 'AdminEdge';
+  cursor: Scalars['String']['output'];
+  node: Admin;
+};
+
+export type AdminRole =
+  | 'ADMIN'
+  | 'SUPERADMIN';
+
+export type AuditAction =
+  | 'CREATED'
+  | 'DELETED'
+  | 'RESTORED'
+  | 'UPDATED';
+
+export type AuditLogEntry = {
+  __typename?: 'AuditLogEntry';
+  action: AuditAction;
+  actor?: Maybe<UserAdmin>;
+  after?: Maybe<Scalars['JSON']['output']>;
+  before?: Maybe<Scalars['JSON']['output']>;
+  createdAt: Scalars['DateTime']['output'];
+  entity: Scalars['String']['output'];
+  entityId: Scalars['ID']['output'];
+  id: Scalars['ID']['output'];
+};
+
+export type AuditLogEntryConnection = {
+  __typename?: 'AuditLogEntryConnection';
+  edges: Array<AuditLogEntryEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type AuditLogEntryEdge = {
+  __typename?: 'AuditLogEntryEdge';
+  cursor: Scalars['String']['output'];
+  node: AuditLogEntry;
+};
+
+export type AuthPayload = {
+  __typename?: 'AuthPayload';
+  token: Scalars['String']['output'];
+  user: UserAdmin;
+};
+
+export type CacheControlScope =
+  | 'PRIVATE'
+  | 'PUBLIC';
+
+export type ChangeAction =
+  | 'CREATED'
+  | 'DELETED'
+  | 'UPDATED';
+
+export type CreateAdminInput = {
+  name: Scalars['String']['input'];
+  password?: InputMaybe<Scalars['String']['input']>;
+  role?: AdminRole;
+  username: Scalars['String']['input'];
+};
+
+export type CreateMovieInput = {
+  isInTheaters?: InputMaybe<Scalars['Boolean']['input']>;
+  name: Scalars['String']['input'];
+  releaseDate?: InputMaybe<Scalars['Date']['input']>;
+  type: MovieType;
+  yearFirstAired?: InputMaybe<Scalars['Int']['input']>;
+  yearOfPublication: Scalars['Int']['input'];
+};
+
+export type CreateUserInput = {
+  age: Scalars['NonNegativeInt']['input'];
+  email?: InputMaybe<Scalars['EmailAddress']['input']>;
+  name: Scalars['String']['input'];
+  nationality?: InputMaybe<Nationality>;
+  password?: InputMaybe<Scalars['String']['input']>;
+  username: Scalars['String']['input'];
+};
+
+export type DeprecatedClientUsage = {
+  __typename?: 'DeprecatedClientUsage';
+  clientName?: Maybe<Scalars['String']['output']>;
+  clientVersion?: Maybe<Scalars['String']['output']>;
+  count: Scalars['Int']['output'];
+  firstUsedAt: Scalars['DateTime']['output'];
+  lastUsedAt: Scalars['DateTime']['output'];
+  operationName?: Maybe<Scalars['String']['output']>;
+};
+
+export type DeprecatedUsage = {
+  __typename?: 'DeprecatedUsage';
+  clients: Array<DeprecatedClientUsage>;
+  coordinate: Scalars['String']['output'];
+  lastUsedAt?: Maybe<Scalars['DateTime']['output']>;
+  reason: Scalars['String']['output'];
+  totalCount: Scalars['Int']['output'];
+};
+
+export type FavoriteMovieInput = {
+  movieId: Scalars['ID']['input'];
+  userId: Scalars['ID']['input'];
+};
+
+export type FriendshipInput = {
+  friendId: Scalars['ID']['input'];
+  userId: Scalars['ID']['input'];
+};
+
+export type Movie = {
+  createdAt: Scalars['DateTime']['output'];
+  favoritedBy: Array<User>;
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  releaseDate?: Maybe<Scalars['Date']['output']>;
+  updatedAt: Scalars['DateTime']['output'];
+  yearOfPublication: Scalars['Int']['output'];
+};
+
+export type MovieChangedEvent = {
+  __typename?: 'MovieChangedEvent';
+  action: ChangeAction;
+  movie: Movie;
+};
+
+export type MovieConnection = {
+  __typename?: 'MovieConnection';
+  edges: Array<MovieEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type MovieEdge = {
+  __typename?: 'MovieEdge';
+  cursor: Scalars['String']['output'];
+  node: Movie;
+};
+
+export type MovieOrderField =
+  | 'ID'
+  | 'NAME'
+  | 'YEAR_OF_PUBLICATION';
+
+export type MovieType =
+  | 'THEATER_MOVIE'
+  | 'TV_MOVIE';
+
+export type MoviesFilter = {
+  nameContains?: InputMaybe<Scalars['String']['input']>;
+  type?: InputMaybe<MovieType>;
+  yearFrom?: InputMaybe<Scalars['Int']['input']>;
+  yearTo?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type MoviesOrderBy = {
+  direction?: InputMaybe<OrderDirection>;
+  field: MovieOrderField;
+};
+
+export type Mutation = {
+  __typename?: 'Mutation';
+  addFavoriteMovie?: Maybe<User>;
+  addFriend?: Maybe<User>;
+  createAdmin?: Maybe<Admin>;
+  createMovie?: Maybe<Movie>;
+  createUser?: Maybe<User>;
+  deleteAdmin?: Maybe<Admin>;
+  deleteMovie?: Maybe<Movie>;
+  deleteUser?: Maybe<User>;
+  login: AuthPayload;
+  removeFavoriteMovie?: Maybe<User>;
+  removeFriend?: Maybe<User>;
+  restoreUser?: Maybe<User>;
+  updateAdminRole?: Maybe<Admin>;
+  updateMovie?: Maybe<Movie>;
+  updateUser?: Maybe<User>;
+  /** @deprecated Use updateUser */
+  updateUsername?: Maybe<User>;
+};
+
+
+export type MutationAddFavoriteMovieArgs = {
+  input: FavoriteMovieInput;
+};
+
+
+export type MutationAddFriendArgs = {
+  input: FriendshipInput;
+};
+
+
+export type MutationCreateAdminArgs = {
+  input: CreateAdminInput;
+};
+
+
+export type MutationCreateMovieArgs = {
+  input: CreateMovieInput;
+};
+
+
+export type MutationCreateUserArgs = {
+  input: CreateUserInput;
+};
+
+
+export type MutationDeleteAdminArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationDeleteMovieArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationDeleteUserArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationLoginArgs = {
+  password: Scalars['String']['input'];
+  username: Scalars['String']['input'];
+};
+
+
+export type MutationRemoveFavoriteMovieArgs = {
+  input: FavoriteMovieInput;
+};
+
+
+export type MutationRemoveFriendArgs = {
+  input: FriendshipInput;
+};
+
+
+export type MutationRestoreUserArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationUpdateAdminRoleArgs = {
+  input: UpdateAdminRoleInput;
+};
+
+
+export type MutationUpdateMovieArgs = {
+  input: UpdateMovieInput;
+};
+
+
+export type MutationUpdateUserArgs = {
+  input: UpdateUserInput;
+};
+
+
+export type MutationUpdateUsernameArgs = {
+  input: UpdateUsernameInput;
+};
+
+export type Nationality =
+  | 'BRAZIL'
+  | 'CANADA'
+  | 'CHILE'
+  | 'GERMANY'
+  | 'HUNGARY'
+  | 'INDIA'
+  | 'SLOVAKIA'
+  | 'UKRAINE';
+
+export type Node = {
+  id: Scalars['ID']['output'];
+};
+
+export type OrderDirection =
+  | 'ASC'
+  | 'DESC';
+
+export type PageInfo = {
+  __typename?: 'PageInfo';
+  endCursor?: Maybe<Scalars['String']['output']>;
+  hasNextPage: Scalars['Boolean']['output'];
+  hasPreviousPage: Scalars['Boolean']['output'];
+  startCursor?: Maybe<Scalars['String']['output']>;
+};
+
+export type Query = {
+  __typename?: 'Query';
+  admin: Admin;
+  admins: AdminConnection;
+  auditLog: AuditLogEntryConnection;
+  deprecatedUsage: Array<DeprecatedUsage>;
+  me?: Maybe<UserAdmin>;
+  movie: Movie;
+  movies: MovieConnection;
+  node?: Maybe<Node>;
+  nodes: Array<Maybe<Node>>;
+  user: User;
+  users: UserAdminConnection;
+};
+
+
+export type QueryAdminArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type QueryAdminsArgs = {
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+};
+
+
+export type QueryAuditLogArgs = {
+  actorId?: InputMaybe<Scalars['ID']['input']>;
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  entityId?: InputMaybe<Scalars['ID']['input']>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+};
+
+
+export type QueryMovieArgs = {
+  name: Scalars['String']['input'];
+};
+
+
+export type QueryMoviesArgs = {
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  filter?: InputMaybe<MoviesFilter>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<MoviesOrderBy>;
+};
+
+
+export type QueryNodeArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type QueryNodesArgs = {
+  ids: Array<Scalars['ID']['input']>;
+};
+
+
+export type QueryUserArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type QueryUsersArgs = {
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  filter?: InputMaybe<UsersFilter>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  includeDeleted?: InputMaybe<Scalars['Boolean']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<UsersOrderBy>;
+};
+
+export type Subscription = {
+  __typename?: 'Subscription';
+  movieChanged: MovieChangedEvent;
+  userCreated: User;
+  userDeleted: Scalars['ID']['output'];
+  userUpdated: User;
+};
+
+export type TheaterMovie = Movie & Node & {
+  __typename?: 'TheaterMovie';
+  createdAt: Scalars['DateTime']['output'];
+  favoritedBy: Array<User>;
+  id: Scalars['ID']['output'];
+  isInTheaters: Scalars['Boolean']['output'];
+  name: Scalars['String']['output'];
+  releaseDate?: Maybe<Scalars['Date']['output']>;
+  updatedAt: Scalars['DateTime']['output'];
+  yearOfPublication: Scalars['Int']['output'];
+};
+
+export type TvMovie = Movie & Node & {
+  __typename?: 'TvMovie';
+  createdAt: Scalars['DateTime']['output'];
+  favoritedBy: Array<User>;
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  releaseDate?: Maybe<Scalars['Date']['output']>;
+  updatedAt: Scalars['DateTime']['output'];
+  yearFirstAired: Scalars['Int']['output'];
+  yearOfPublication: Scalars['Int']['output'];
+};
+
+export type UpdateAdminRoleInput = {
+  id: Scalars['ID']['input'];
+  role: AdminRole;
+};
+
+export type UpdateMovieInput = {
+  id: Scalars['ID']['input'];
+  isInTheaters?: InputMaybe<Scalars['Boolean']['input']>;
+  name?: InputMaybe<Scalars['String']['input']>;
+  releaseDate?: InputMaybe<Scalars['Date']['input']>;
+  yearFirstAired?: InputMaybe<Scalars['Int']['input']>;
+  yearOfPublication?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type UpdateUserInput = {
+  age?: InputMaybe<Scalars['NonNegativeInt']['input']>;
+  email?: InputMaybe<Scalars['EmailAddress']['input']>;
+  id: Scalars['ID']['input'];
+  name?: InputMaybe<Scalars['String']['input']>;
+  nationality?: InputMaybe<Nationality>;
+  username?: InputMaybe<Scalars['String']['input']>;
+  version?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type UpdateUsernameInput = {
+  id: Scalars['ID']['input'];
+  newUsername: Scalars['String']['input'];
+  version?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type User = Node & {
+  __typename?: 'User';
+  age?: Maybe<Scalars['NonNegativeInt']['output']>;
+  createdAt: Scalars['DateTime']['output'];
+  deletedAt?: Maybe<Scalars['DateTime']['output']>;
+  email?: Maybe<Scalars['EmailAddress']['output']>;
+  favoriteMovies?: Maybe<Array<Movie>>;
+  friends?: Maybe<Array<User>>;
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  nationality: Nationality;
+  updatedAt: Scalars['DateTime']['output'];
+  username: Scalars['String']['output'];
+  version: Scalars['Int']['output'];
+};
+
+export type UserAdmin = Admin | User;
+
+export type UserAdminConnection = {
+  __typename?: 'UserAdminConnection';
+  edges: Array<UserAdminEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type UserAdminEdge = {
+  __typename?: 'UserAdminEdge';
+  cursor: Scalars['String']['output'];
+  node: UserAdmin;
+};
+
+export type UserOrderField =
+  | 'AGE'
+  | 'ID'
+  | 'NAME'
+  | 'USERNAME';
+
+export type UsersFilter = {
+  maxAge?: InputMaybe<Scalars['NonNegativeInt']['input']>;
+  minAge?: InputMaybe<Scalars['NonNegativeInt']['input']>;
+  nationality?: InputMaybe<Nationality>;
+  usernameContains?: InputMaybe<Scalars['String']['input']>;
+};
+
+export type UsersOrderBy = {
+  direction?: InputMaybe<OrderDirection>;
+  field: UserOrderField;
+};
+
+export type GetAgeAndNameFragment = { __typename?: 'User', name: string, age?: number | null };
+
+export type UserDetailsFragment = { __typename?: 'User', id: string, username: string, nationality: Nationality, name: string, age?: number | null, friends?: Array<{ __typename?: 'User', id: string, name: string, age?: number | null, favoriteMovies?: Array<{ __typename: 'TheaterMovie', isInTheaters: boolean, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, name: string, yearOfPublication: number }> | null }> | null };
+
+export type GetAllUsersQueryVariables = Exact<{ [key: string]: never; }>;
+
+
+export type GetAllUsersQuery = { __typename?: 'Query', users: { __typename?: 'UserAdminConnection', edges: Array<{ __typename?: 'UserAdminEdge', node: { __typename: 'Admin', id: string, name: string, username: string, role: AdminRole } | { __typename: 'User', id: string, username: string, nationality: Nationality, name: string, age?: number | null, friends?: Array<{ __typename?: 'User', id: string, name: string, age?: number | null, favoriteMovies?: Array<{ __typename: 'TheaterMovie', isInTheaters: boolean, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, name: string, yearOfPublication: number }> | null }> | null } }> } };
+
+export type GetAllMoviesQueryVariables = Exact<{ [key: string]: never; }>;
+
+
+export type GetAllMoviesQuery = { __typename?: 'Query', movies: { __typename?: 'MovieConnection', edges: Array<{ __typename?: 'MovieEdge', node: { __typename: 'TheaterMovie', isInTheaters: boolean, id: string, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, id: string, name: string, yearOfPublication: number } }> } };
+
+export type GetMovieByNameQueryVariables = Exact<{
+  name: Scalars['String']['input'];
+}>;
+
+
+export type GetMovieByNameQuery = { __typename?: 'Query', movie: { __typename: 'TheaterMovie', isInTheaters: boolean, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, name: string, yearOfPublication: number } };
+
+export type CreateUserMutationVariables = Exact<{
+  input: CreateUserInput;
+}>;
+
+
+export type CreateUserMutation = { __typename?: 'Mutation', createUser?: { __typename?: 'User', name: string, id: string } | null };
+
+export type OnUserCreatedSubscriptionVariables = Exact<{ [key: string]: never; }>;
+
+
+export type OnUserCreatedSubscription = { __typename?: 'Subscription', userCreated: { __typename?: 'User', id: string, username: string, nationality: Nationality, name: string, age?: number | null, friends?: Array<{ __typename?: 'User', id: string, name: string, age?: number | null, favoriteMovies?: Array<{ __typename: 'TheaterMovie', isInTheaters: boolean, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, name: string, yearOfPublication: number }> | null }> | null } };
+
+export type OnUserUpdatedSubscriptionVariables = Exact<{ [key: string]: never; }>;
+
+
+export type OnUserUpdatedSubscription = { __typename?: 'Subscription', userUpdated: { __typename?: 'User', id: string, username: string, nationality: Nationality, name: string, age?: number | null, friends?: Array<{ __typename?: 'User', id: string, name: string, age?: number | null, favoriteMovies?: Array<{ __typename: 'TheaterMovie', isInTheaters: boolean, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, name: string, yearOfPublication: number }> | null }> | null } };
+
+export type OnUserDeletedSubscriptionVariables = Exact<{ [key: string]: never; }>;
+
+
+export type OnUserDeletedSubscription = { __typename?: 'Subscription', userDeleted: string };
+
+export type OnMovieChangedSubscriptionVariables = Exact<{ [key: string]: never; }>;
+
+
+export type OnMovieChangedSubscription = { __typename?: 'Subscription', movieChanged: { __typename?: 'MovieChangedEvent', action: ChangeAction, movie: { __typename: 'TheaterMovie', isInTheaters: boolean, id: string, name: string, yearOfPublication: number } | { __typename: 'TvMovie', yearFirstAired: number, id: string, name: string, yearOfPublication: number } } };
+
+export type LoginMutationVariables = Exact<{
+  username: Scalars['String']['input'];
+  password: Scalars['String']['input'];
+}>;
+
+
+export type LoginMutation = { __typename?: 'Mutation', login: { __typename?: 'AuthPayload', token: string } };
+
+export type MeQueryVariables = Exact<{ [key: string]: never; }>;
+
+
+export type MeQuery = { __typename?: 'Query', me?: { __typename: 'Admin', id: string, username: string, role: AdminRole } | { __typename: 'User', id: string, username: string } | null };
+
+export const GetAgeAndNameFragmentDoc = gql`
+    fragment GetAgeAndName on User {
+  name
+  age
+}
+    `;
+export const UserDetailsFragmentDoc = gql`
+    fragment UserDetails on User {
+  id
+  username
+  ...GetAgeAndName
+  nationality
+  friends {
+    id
+    ...GetAgeAndName
+    favoriteMovies {
+      __typename
+      name
+      yearOfPublication
+      ... on TvMovie {
+        yearFirstAired
+      }
+      ... on TheaterMovie {
+        isInTheaters
+      }
+    }
+  }
+}
+    ${GetAgeAndNameFragmentDoc}`;
+export const GetAllUsersDocument = gql`
+    query GetAllUsers {
+  users(first: 50) {
+    edges {
+      node {
+        __typename
+        ... on User {
+          ...UserDetails
+        }
+        ... on Admin {
+          id
+          name
+          username
+          role
+        }
+      }
+    }
+  }
+}
+    ${UserDetailsFragmentDoc}`;
+
+/**
+ * __useGetAllUsersQuery__
+ *
+ * To run a query within a React component, call `useGetAllUsersQuery` and pass it any options that fit your needs.
+ * When your component renders, `useGetAllUsersQuery` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the query, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useGetAllUsersQuery({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useGetAllUsersQuery(baseOptions?: Apollo.QueryHookOptions<GetAllUsersQuery, GetAllUsersQueryVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useQuery<GetAllUsersQuery, GetAllUsersQueryVariables>(GetAllUsersDocument, options);
+      }
+export function useGetAllUsersLazyQuery(baseOptions?: Apollo.LazyQueryHookOptions<GetAllUsersQuery, GetAllUsersQueryVariables>) {
+          const options = {...defaultOptions, ...baseOptions}
+          return Apollo.useLazyQuery<GetAllUsersQuery, GetAllUsersQueryVariables>(GetAllUsersDocument, options);
+        }
+// @ts-ignore
+export function useGetAllUsersSuspenseQuery(baseOptions?: Apollo.SuspenseQueryHookOptions<GetAllUsersQuery, GetAllUsersQueryVariables>): Apollo.UseSuspenseQueryResult<GetAllUsersQuery, GetAllUsersQueryVariables>;
+export function useGetAllUsersSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<GetAllUsersQuery, GetAllUsersQueryVariables>): Apollo.UseSuspenseQueryResult<GetAllUsersQuery | undefined, GetAllUsersQueryVariables>;
+export function useGetAllUsersSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<GetAllUsersQuery, GetAllUsersQueryVariables>) {
+          const options = baseOptions === Apollo.skipToken ? baseOptions : {...defaultOptions, ...baseOptions}
+          return Apollo.useSuspenseQuery<GetAllUsersQuery, GetAllUsersQueryVariables>(GetAllUsersDocument, options);
+        }
+export type GetAllUsersQueryHookResult = ReturnType<typeof useGetAllUsersQuery>;
+export type GetAllUsersLazyQueryHookResult = ReturnType<typeof useGetAllUsersLazyQuery>;
+export type GetAllUsersSuspenseQueryHookResult = ReturnType<typeof useGetAllUsersSuspenseQuery>;
+export type GetAllUsersQueryResult = Apollo.QueryResult<GetAllUsersQuery, GetAllUsersQueryVariables>;
+export const GetAllMoviesDocument = gql`
+    query GetAllMovies {
+  movies(first: 50) {
+    edges {
+      node {
+        __typename
+        id
+        name
+        yearOfPublication
+        ... on TvMovie {
+          yearFirstAired
+        }
+        ... on TheaterMovie {
+          isInTheaters
+        }
+      }
+    }
+  }
+}
+    `;
+
+/**
+ * __useGetAllMoviesQuery__
+ *
+ * To run a query within a React component, call `useGetAllMoviesQuery` and pass it any options that fit your needs.
+ * When your component renders, `useGetAllMoviesQuery` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the query, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useGetAllMoviesQuery({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useGetAllMoviesQuery(baseOptions?: Apollo.QueryHookOptions<GetAllMoviesQuery, GetAllMoviesQueryVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useQuery<GetAllMoviesQuery, GetAllMoviesQueryVariables>(GetAllMoviesDocument, options);
+      }
+export function useGetAllMoviesLazyQuery(baseOptions?: Apollo.LazyQueryHookOptions<GetAllMoviesQuery, GetAllMoviesQueryVariables>) {
+          const options = {...defaultOptions, ...baseOptions}
+          return Apollo.useLazyQuery<GetAllMoviesQuery, GetAllMoviesQueryVariables>(GetAllMoviesDocument, options);
+        }
+// @ts-ignore
+export function useGetAllMoviesSuspenseQuery(baseOptions?: Apollo.SuspenseQueryHookOptions<GetAllMoviesQuery, GetAllMoviesQueryVariables>): Apollo.UseSuspenseQueryResult<GetAllMoviesQuery, GetAllMoviesQueryVariables>;
+export function useGetAllMoviesSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<GetAllMoviesQuery, GetAllMoviesQueryVariables>): Apollo.UseSuspenseQueryResult<GetAllMoviesQuery | undefined, GetAllMoviesQueryVariables>;
+export function useGetAllMoviesSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<GetAllMoviesQuery, GetAllMoviesQueryVariables>) {
+          const options = baseOptions === Apollo.skipToken ? baseOptions : {...defaultOptions, ...baseOptions}
+          return Apollo.useSuspenseQuery<GetAllMoviesQuery, GetAllMoviesQueryVariables>(GetAllMoviesDocument, options);
+        }
+export type GetAllMoviesQueryHookResult = ReturnType<typeof useGetAllMoviesQuery>;
+export type GetAllMoviesLazyQueryHookResult = ReturnType<typeof useGetAllMoviesLazyQuery>;
+export type GetAllMoviesSuspenseQueryHookResult = ReturnType<typeof useGetAllMoviesSuspenseQuery>;
+export type GetAllMoviesQueryResult = Apollo.QueryResult<GetAllMoviesQuery, GetAllMoviesQueryVariables>;
+export const GetMovieByNameDocument = gql`
+    query GetMovieByName($name: String!) {
+  movie(name: $name) {
+    __typename
+    name
+    yearOfPublication
+    ... on TvMovie {
+      yearFirstAired
+    }
+    ... on TheaterMovie {
+      isInTheaters
+    }
+  }
+}
+    `;
+
+/**
+ * __useGetMovieByNameQuery__
+ *
+ * To run a query within a React component, call `useGetMovieByNameQuery` and pass it any options that fit your needs.
+ * When your component renders, `useGetMovieByNameQuery` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the query, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useGetMovieByNameQuery({
+ *   variables: {
+ *      name: // value for 'name'
+ *   },
+ * });
+ */
+export function useGetMovieByNameQuery(baseOptions: Apollo.QueryHookOptions<GetMovieByNameQuery, GetMovieByNameQueryVariables> & ({ variables: GetMovieByNameQueryVariables; skip?: boolean; } | { skip: boolean; }) ) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useQuery<GetMovieByNameQuery, GetMovieByNameQueryVariables>(GetMovieByNameDocument, options);
+      }
+export function useGetMovieByNameLazyQuery(baseOptions?: Apollo.LazyQueryHookOptions<GetMovieByNameQuery, GetMovieByNameQueryVariables>) {
+          const options = {...defaultOptions, ...baseOptions}
+          return Apollo.useLazyQuery<GetMovieByNameQuery, GetMovieByNameQueryVariables>(GetMovieByNameDocument, options);
+        }
+// @ts-ignore
+export function useGetMovieByNameSuspenseQuery(baseOptions?: Apollo.SuspenseQueryHookOptions<GetMovieByNameQuery, GetMovieByNameQueryVariables>): Apollo.UseSuspenseQueryResult<GetMovieByNameQuery, GetMovieByNameQueryVariables>;
+export function useGetMovieByNameSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<GetMovieByNameQuery, GetMovieByNameQueryVariables>): Apollo.UseSuspenseQueryResult<GetMovieByNameQuery | undefined, GetMovieByNameQueryVariables>;
+export function useGetMovieByNameSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<GetMovieByNameQuery, GetMovieByNameQueryVariables>) {
+          const options = baseOptions === Apollo.skipToken ? baseOptions : {...defaultOptions, ...baseOptions}
+          return Apollo.useSuspenseQuery<GetMovieByNameQuery, GetMovieByNameQueryVariables>(GetMovieByNameDocument, options);
+        }
+export type GetMovieByNameQueryHookResult = ReturnType<typeof useGetMovieByNameQuery>;
+export type GetMovieByNameLazyQueryHookResult = ReturnType<typeof useGetMovieByNameLazyQuery>;
+export type GetMovieByNameSuspenseQueryHookResult = ReturnType<typeof useGetMovieByNameSuspenseQuery>;
+export type GetMovieByNameQueryResult = Apollo.QueryResult<GetMovieByNameQuery, GetMovieByNameQueryVariables>;
+export const CreateUserDocument = gql`
+    mutation CreateUser($input: CreateUserInput!) {
+  createUser(input: $input) {
+    name
+    id
+  }
+}
+    `;
+export type CreateUserMutationFn = Apollo.MutationFunction<CreateUserMutation, CreateUserMutationVariables>;
+
+/**
+ * __useCreateUserMutation__
+ *
+ * To run a mutation, you first call `useCreateUserMutation` within a React component and pass it any options that fit your needs.
+ * When your component renders, `useCreateUserMutation` returns a tuple that includes:
+ * - A mutate function that you can call at any time to execute the mutation
+ * - An object with fields that represent the current status of the mutation's execution
+ *
+ * @param baseOptions options that will be passed into the mutation, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options-2;
+ *
+ * @example
+ * const [createUserMutation, { data, loading, error }] = useCreateUserMutation({
+ *   variables: {
+ *      input: // value for 'input'
+ *   },
+ * });
+ */
+export function useCreateUserMutation(baseOptions?: Apollo.MutationHookOptions<CreateUserMutation, CreateUserMutationVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useMutation<CreateUserMutation, CreateUserMutationVariables>(CreateUserDocument, options);
+      }
+export type CreateUserMutationHookResult = ReturnType<typeof useCreateUserMutation>;
+export type CreateUserMutationResult = Apollo.MutationResult<CreateUserMutation>;
+export type CreateUserMutationOptions = Apollo.BaseMutationOptions<CreateUserMutation, CreateUserMutationVariables>;
+export const OnUserCreatedDocument = gql`
+    subscription OnUserCreated {
+  userCreated {
+    ...UserDetails
+  }
+}
+    ${UserDetailsFragmentDoc}`;
+
+/**
+ * __useOnUserCreatedSubscription__
+ *
+ * To run a query within a React component, call `useOnUserCreatedSubscription` and pass it any options that fit your needs.
+ * When your component renders, `useOnUserCreatedSubscription` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the subscription, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useOnUserCreatedSubscription({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useOnUserCreatedSubscription(baseOptions?: Apollo.SubscriptionHookOptions<OnUserCreatedSubscription, OnUserCreatedSubscriptionVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useSubscription<OnUserCreatedSubscription, OnUserCreatedSubscriptionVariables>(OnUserCreatedDocument, options);
+      }
+export type OnUserCreatedSubscriptionHookResult = ReturnType<typeof useOnUserCreatedSubscription>;
+export type OnUserCreatedSubscriptionResult = Apollo.SubscriptionResult<OnUserCreatedSubscription>;
+export const OnUserUpdatedDocument = gql`
+    subscription OnUserUpdated {
+  userUpdated {
+    ...UserDetails
+  }
+}
+    ${UserDetailsFragmentDoc}`;
+
+/**
+ * __useOnUserUpdatedSubscription__
+ *
+ * To run a query within a React component, call `useOnUserUpdatedSubscription` and pass it any options that fit your needs.
+ * When your component renders, `useOnUserUpdatedSubscription` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the subscription, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useOnUserUpdatedSubscription({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useOnUserUpdatedSubscription(baseOptions?: Apollo.SubscriptionHookOptions<OnUserUpdatedSubscription, OnUserUpdatedSubscriptionVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useSubscription<OnUserUpdatedSubscription, OnUserUpdatedSubscriptionVariables>(OnUserUpdatedDocument, options);
+      }
+export type OnUserUpdatedSubscriptionHookResult = ReturnType<typeof useOnUserUpdatedSubscription>;
+export type OnUserUpdatedSubscriptionResult = Apollo.SubscriptionResult<OnUserUpdatedSubscription>;
+export const OnUserDeletedDocument = gql`
+    subscription OnUserDeleted {
+  userDeleted
+}
+    `;
+
+/**
+ * __useOnUserDeletedSubscription__
+ *
+ * To run a query within a React component, call `useOnUserDeletedSubscription` and pass it any options that fit your needs.
+ * When your component renders, `useOnUserDeletedSubscription` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the subscription, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useOnUserDeletedSubscription({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useOnUserDeletedSubscription(baseOptions?: Apollo.SubscriptionHookOptions<OnUserDeletedSubscription, OnUserDeletedSubscriptionVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useSubscription<OnUserDeletedSubscription, OnUserDeletedSubscriptionVariables>(OnUserDeletedDocument, options);
+      }
+export type OnUserDeletedSubscriptionHookResult = ReturnType<typeof useOnUserDeletedSubscription>;
+export type OnUserDeletedSubscriptionResult = Apollo.SubscriptionResult<OnUserDeletedSubscription>;
+export const OnMovieChangedDocument = gql`
+    subscription OnMovieChanged {
+  movieChanged {
+    action
+    movie {
+      __typename
+      id
+      name
+      yearOfPublication
+      ... on TvMovie {
+        yearFirstAired
+      }
+      ... on TheaterMovie {
+        isInTheaters
+      }
+    }
+  }
+}
+    `;
+
+/**
+ * __useOnMovieChangedSubscription__
+ *
+ * To run a query within a React component, call `useOnMovieChangedSubscription` and pass it any options that fit your needs.
+ * When your component renders, `useOnMovieChangedSubscription` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the subscription, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useOnMovieChangedSubscription({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useOnMovieChangedSubscription(baseOptions?: Apollo.SubscriptionHookOptions<OnMovieChangedSubscription, OnMovieChangedSubscriptionVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useSubscription<OnMovieChangedSubscription, OnMovieChangedSubscriptionVariables>(OnMovieChangedDocument, options);
+      }
+export type OnMovieChangedSubscriptionHookResult = ReturnType<typeof useOnMovieChangedSubscription>;
+export type OnMovieChangedSubscriptionResult = Apollo.SubscriptionResult<OnMovieChangedSubscription>;
+export const LoginDocument = gql`
+    mutation Login($username: String!, $password: String!) {
+  login(username: $username, password: $password) {
+    token
+  }
+}
+    `;
+export type LoginMutationFn = Apollo.MutationFunction<LoginMutation, LoginMutationVariables>;
+
+/**
+ * __useLoginMutation__
+ *
+ * To run a mutation, you first call `useLoginMutation` within a React component and pass it any options that fit your needs.
+ * When your component renders, `useLoginMutation` returns a tuple that includes:
+ * - A mutate function that you can call at any time to execute the mutation
+ * - An object with fields that represent the current status of the mutation's execution
+ *
+ * @param baseOptions options that will be passed into the mutation, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options-2;
+ *
+ * @example
+ * const [loginMutation, { data, loading, error }] = useLoginMutation({
+ *   variables: {
+ *      username: // value for 'username'
+ *      password: // value for 'password'
+ *   },
+ * });
+ */
+export function useLoginMutation(baseOptions?: Apollo.MutationHookOptions<LoginMutation, LoginMutationVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useMutation<LoginMutation, LoginMutationVariables>(LoginDocument, options);
+      }
+export type LoginMutationHookResult = ReturnType<typeof useLoginMutation>;
+export type LoginMutationResult = Apollo.MutationResult<LoginMutation>;
+export type LoginMutationOptions = Apollo.BaseMutationOptions<LoginMutation, LoginMutationVariables>;
+export const MeDocument = gql`
+    query Me {
+  me {
+    __typename
+    ... on User {
+      id
+      username
+    }
+    ... on Admin {
+      id
+      username
+      role
+    }
+  }
+}
+    `;
+
+/**
+ * __useMeQuery__
+ *
+ * To run a query within a React component, call `useMeQuery` and pass it any options that fit your needs.
+ * When your component renders, `useMeQuery` returns an object from Apollo Client that contains loading, error, and data properties
+ * you can use to render your UI.
+ *
+ * @param baseOptions options that will be passed into the query, supported options are listed on: https://www.apollographql.com/docs/react/api/react-hooks/#options;
+ *
+ * @example
+ * const { data, loading, error } = useMeQuery({
+ *   variables: {
+ *   },
+ * });
+ */
+export function useMeQuery(baseOptions?: Apollo.QueryHookOptions<MeQuery, MeQueryVariables>) {
+        const options = {...defaultOptions, ...baseOptions}
+        return Apollo.useQuery<MeQuery, MeQueryVariables>(MeDocument, options);
+      }
+export function useMeLazyQuery(baseOptions?: Apollo.LazyQueryHookOptions<MeQuery, MeQueryVariables>) {
+          const options = {...defaultOptions, ...baseOptions}
+          return Apollo.useLazyQuery<MeQuery, MeQueryVariables>(MeDocument, options);
+        }
+// @ts-ignore
+export function useMeSuspenseQuery(baseOptions?: Apollo.SuspenseQueryHookOptions<MeQuery, MeQueryVariables>): Apollo.UseSuspenseQueryResult<MeQuery, MeQueryVariables>;
+export function useMeSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<MeQuery, MeQueryVariables>): Apollo.UseSuspenseQueryResult<MeQuery | undefined, MeQueryVariables>;
+export function useMeSuspenseQuery(baseOptions?: Apollo.SkipToken | Apollo.SuspenseQueryHookOptions<MeQuery, MeQueryVariables>) {
+          const options = baseOptions === Apollo.skipToken ? baseOptions : {...defaultOptions, ...baseOptions}
+          return Apollo.useSuspenseQuery<MeQuery, MeQueryVariables>(MeDocument, options);
+        }
+export type MeQueryHookResult = ReturnType<typeof useMeQuery>;
+export type MeLazyQueryHookResult = ReturnType<typeof useMeLazyQuery>;
+export type MeSuspenseQueryHookResult = ReturnType<typeof useMeSuspenseQuery>;
+export type MeQueryResult = Apollo.QueryResult<MeQuery, MeQueryVariables>;
\ No newline at end of file
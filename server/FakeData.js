@@ -1,58 +1,99 @@
+/**
+ * Relationships between the records are stored as arrays of IDs - "friends" are IDs of other
+ * users and "favoriteMovies" are IDs of movies from the MovieList. The actual users/movies are
+ * then loaded by the User.friends and User.favoriteMovies resolvers.
+ *
+ * Friendship is symmetric - if John has Pedro in his "friends", Pedro has John in his "friends" too.
+ * The addFriend/removeFriend mutations are always changing both sides.
+ *
+ * The password of all the accounts is "password123" - only its hash is stored, see auth.js.
+ */
 const UserList = [
   {
     id: 1,
     name: "John",
     username: "john",
+    passwordHash:
+      "scrypt$46a305c3c6038e36497bff2f0044166d$b3a0d7270d73518bea716cfccf65ecd1344a75c527bcbbc670d9c5410f997ea65470b2ce0076ec370e740f9d6d1c74d6a1310275b78cceb9a038a249f7d1577e",
     age: 20,
     nationality: "CANADA",
     friends: [2, 5],
+    favoriteMovies: [2, 4],
   },
   {
     id: 2,
     name: "Pedro",
     username: "PedroTech",
+    passwordHash:
+      "scrypt$84f746af4a8b1940cbe0cfe7f2781f6b$fd8ba89b31e909a3deeb9179ab877d2741b4b919f7a76386080cc03764b74d34c2f5d87bbbeca09be44066309d02a212f230841930f516a84d6afc67111d7689",
     age: 20,
     nationality: "BRAZIL",
+    friends: [1, 3],
+    favoriteMovies: [1, 3],
   },
   {
     id: 3,
     name: "Sarah",
     username: "cameron",
+    passwordHash:
+      "scrypt$3c0e33388028807973b9717aa12c04e3$98a6d93efd0a62195d3f0dd58cfd16d56cc2a41484270baf865c5bb7385cd3ff74db48afeb355f45426b4a1f5d69729636932844f0f656b41ed59fc4a9707339",
     age: 25,
     nationality: "INDIA",
-    friends: [2],
+    friends: [2, 4],
+    favoriteMovies: [2],
   },
   {
     id: 4,
     name: "Rafe",
     username: "rafe123",
+    passwordHash:
+      "scrypt$2623d9b8d408e0df2ab4406d953e0dce$1dbab757f56e651c2517e6f1ce48f6a0a6b986a4d77c84c7f895ccdb7fe40edc85739c2562bb6feb33c7ead86a61cc7e4ef37052c4c990ce39acc464d36840c0",
     age: 60,
     nationality: "GERMANY",
     friends: [3, 5],
+    favoriteMovies: [4, 5],
   },
   {
     id: 5,
     name: "Kelly",
     username: "kelly2019",
+    passwordHash:
+      "scrypt$b395a1f4b2f51175c46219107bc1ae72$4db0455f423a8ac1d9198a3ab086508d3b9c9219a4a34ee3e0e393c294e37397b4e1a76b19e2e04e4a873802f46c3529ac805722926872549c7d7ac272729343",
     age: 5,
     nationality: "CHILE",
+    friends: [1, 4],
+    favoriteMovies: [1],
   },
+];
+
+/**
+ * Admins are a separate entity with their own IDs - the admin with ID 1 is a different account
+ * than the user with ID 1 (see the global IDs in schema/global-id.js). They can't have friends
+ * or favorite movies, but they have a "role".
+ */
+const AdminList = [
   {
-    id: 6,
+    id: 1,
     name: "Andrew",
     username: "andrew001",
+    passwordHash:
+      "scrypt$c212a4765b11335d72fcac9bd58657f5$e603c8b3e752c76a51f1866e9119fc9f3aa7bca6cc39c9e16c31cc88a97faf8f0aaa201b9b75c2d822316a719002abf40144495f8e192519a411d94749a89ea7",
     role: "SUPERADMIN",
   },
   {
-    id: 7,
+    id: 2,
     name: "Chris",
     username: "chris007",
+    passwordHash:
+      "scrypt$02381ad262dd7d89c91353be57705ad1$948459b50a2b37b5b22761819db6907b0b202e3c98b811fb5a44d989d76cceff726af212434da5283bc3d529134076bfca79435466b67aa23ebf657e8a51b005",
     role: "ADMIN",
   },
   {
-    id: 8,
+    id: 3,
     name: "Jaro",
     username: "huskylover64",
+    passwordHash:
+      "scrypt$8bfe9264c502e6853f201fd47f2c0eb0$ab18a293a5e427fe2b4d92877786500c9cafeecda1081c251c307d8f8071279f6d5d9f5a2d97041df9c498d45619f786a51a2a7e5d40f1ec9e4f5e4c1a789d4f",
     role: "ADMIN",
   },
 ];
@@ -90,4 +131,4 @@ const MovieList = [
   },
 ];
 
-module.exports = { UserList, MovieList };
+module.exports = { UserList, AdminList, MovieList };
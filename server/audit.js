@@ -0,0 +1,53 @@
+const _ = require("lodash");
+
+/**
+ * Audit log
+ *
+ * Every change of a user (or admin) is recorded into the "auditLog" collection, so we can find out
+ * who changed what and when - and what the record looked like before the change (f.e. to restore it by hand).
+ *
+ * One entry looks like this:
+ *
+ * {
+ *   id: 1,
+ *   action: "UPDATED",           // CREATED, UPDATED, DELETED or RESTORED (the AuditAction enum)
+ *   entity: "User",
+ *   entityId: 1,
+ *   actorType: "Admin",          // the logged in user or admin, null for anonymous changes (f.e. createUser)
+ *   actorId: 1,
+ *   before: { ...the record },   // null for CREATED
+ *   after: { ...the record },
+ *   createdAt: "2023-06-01T10:00:00.000Z"
+ * }
+ *
+ * Users and admins have their own IDs, so the "entity" and "actorType" say, which collection the IDs belong to.
+ *
+ * The snapshots never contain the password hash - the audit log is readable by all the admins.
+ * The entries are only added, never changed or removed.
+ */
+const SECRET_FIELDS = ["passwordHash"];
+
+const snapshot = (record) => (record ? _.omit(record, SECRET_FIELDS) : null);
+
+// Only admins have the "role"
+const getActorType = (currentUser) => {
+  if (!currentUser) {
+    return null;
+  }
+
+  return currentUser.role ? "Admin" : "User";
+};
+
+// The ID of the entry is assigned by the repository
+const recordAudit = (context, { action, entity, before, after }) =>
+  context.dataSources.auditLog.insert({
+    action,
+    entity,
+    entityId: (after || before).id,
+    actorType: getActorType(context.currentUser),
+    actorId: context.currentUser ? context.currentUser.id : null,
+    before: snapshot(before),
+    after: snapshot(after),
+  });
+
+module.exports = { recordAudit };
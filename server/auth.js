@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Authentication
+ *
+ * 1. The client sends the username and password in the "login" mutation.
+ * 2. The server checks the password and returns a signed token (JWT) with the global ID of the user
+ *    or admin (see schema/global-id.js) - users and admins have their own numeric IDs, so the number alone
+ *    wouldn't say, who is logged in.
+ * 3. The client is sending this token in the "Authorization: Bearer <token>" header with every
+ *    request (see App.jsx).
+ * 4. The "context" function (see index.js) decodes the token from the header and loads the
+ *    logged in user, so every resolver can access it as "context.currentUser".
+ *
+ * The token is signed with the AUTH_SECRET, so the client can't change its content (f.e. the user ID)
+ * without invalidating the signature. Don't forget to set your own AUTH_SECRET in production!
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/security/authentication/
+ */
+const AUTH_SECRET = process.env.AUTH_SECRET || "graphql-full-course-secret";
+const TOKEN_EXPIRES_IN = "12h";
+
+/**
+ * Passwords are never stored in plain text, only their scrypt hash together with a random salt
+ * in the "scrypt$<salt>$<hash>" format.
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, passwordHash) => {
+  if (!passwordHash) {
+    return false;
+  }
+
+  const [, salt, hash] = passwordHash.split("$");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const createToken = (globalId) =>
+  jwt.sign({ sub: globalId }, AUTH_SECRET, {
+    expiresIn: TOKEN_EXPIRES_IN,
+  });
+
+/**
+ * Returns the global ID of the user or admin from the "Bearer <token>" value of the Authorization header or null,
+ * if the header is missing or the token is invalid (f.e. expired).
+ */
+const getUserIdFromAuthorization = (authorization) => {
+  const [scheme, token] = (authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
+
+  try {
+    return jwt.verify(token, AUTH_SECRET).sub;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  getUserIdFromAuthorization,
+};
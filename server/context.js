@@ -0,0 +1,64 @@
+const { getUserIdFromAuthorization } = require("./auth");
+const { dataSources: defaultDataSources } = require("./data");
+const { createLoaders } = require("./loaders");
+const { fromGlobalId, ACCOUNT_COLLECTIONS } = require("./schema/global-id");
+
+/**
+ * The logged in account - a user or an admin (admins have the "role"), null if the token is missing or invalid.
+ */
+const findCurrentUser = async (dataSources, authorization) => {
+  const userId = getUserIdFromAuthorization(authorization);
+  const { type, id } = (userId && fromGlobalId(userId)) || {};
+  const collection = ACCOUNT_COLLECTIONS[type];
+
+  return collection ? dataSources[collection].findById(id) : null;
+};
+
+/**
+ * For every resolver we can provide a context. The "context" function is like
+ * an Express middleware before the actual request handler (like an app.use),
+ * which will handle f.e. the authentication stuff and then provide the result
+ * of the authentication to the request handlers - the same is happening here: in the context
+ * we can handle f.e. the authentication, then return a context with the auth data (logged in user data f.e.).
+ *
+ * The same context is built for both transports:
+ * - HTTP (queries and mutations) - the token is in the "authorization" header of the request
+ * - WebSocket (subscriptions) - browsers can't send custom headers with WebSockets, so the client
+ *   sends the token in the "connectionParams" when opening the connection (see App.jsx)
+ *
+ * Besides the logged in user, every context gets:
+ * - dataSources - the repositories for accessing the data (see data/index.js)
+ * - loaders - new DataLoader instances (see loaders.js). The context is created for every request, so
+ *   the DataLoader cache is never shared between requests (or users).
+ *
+ * The tests are building the context with their own "dataSources" (fresh fixture data for every test),
+ * the server always uses the default ones - see data/index.js.
+ */
+const buildContext = async ({
+  authorization,
+  dataSources = defaultDataSources,
+  ...extra
+}) => {
+  const user = await findCurrentUser(dataSources, authorization);
+  // The token of a deleted user (see the deleteUser mutation) is not valid anymore
+  const currentUser = user && !user.deletedAt ? user : null;
+
+  return {
+    ...extra,
+    currentUser,
+    dataSources,
+    loaders: createLoaders(dataSources),
+  };
+};
+
+const createHttpContext = ({ req }) => {
+  // It will contain the "authorization" header - see App.jsx.
+  // console.log(req.headers);
+  return buildContext({ authorization: req.headers.authorization, req });
+};
+
+const createWsContext = (ctx) => {
+  return buildContext({ authorization: ctx.connectionParams?.authorization });
+};
+
+module.exports = { buildContext, createHttpContext, createWsContext };
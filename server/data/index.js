@@ -0,0 +1,57 @@
+const path = require("path");
+
+const { UserList, AdminList, MovieList } = require("../FakeData");
+const { createJsonFileStore } = require("./json-file-store");
+const { createMemoryStore } = require("./memory-store");
+const { withMetadata } = require("./migrations");
+const { createRepository } = require("./repository");
+
+/**
+ * Data layer entry point
+ *
+ * The FakeData.js arrays are used only as a seed - the initial content of the store.
+ * Which store is used can be changed with the DATA_STORE environment variable:
+ * - "json" (default) - data are persisted into the DATA_FILE (data/db.json by default)
+ * - "memory" - data are lost on every restart
+ *
+ * The seed records get the first version and the same "createdAt"/"updatedAt" timestamps, the new records
+ * get them from the repository (see repository.js).
+ */
+
+const seed = {
+  users: withMetadata(UserList),
+  admins: withMetadata(AdminList),
+  movies: withMetadata(MovieList),
+  // Changes of the users - see audit.js
+  auditLog: [],
+  // Usage of the deprecated fields - see plugins/deprecation-usage.js
+  deprecatedUsage: [],
+};
+
+const createStore = () => {
+  if (process.env.DATA_STORE === "memory") {
+    return createMemoryStore({ seed });
+  }
+
+  return createJsonFileStore({
+    filePath: process.env.DATA_FILE || path.join(__dirname, "db.json"),
+    seed,
+  });
+};
+
+const createDataSources = (store) => ({
+  // The same rules as the @unique directives in the schema modules
+  users: createRepository(store, "users", {
+    unique: { username: ["users", "admins"], email: ["users"] },
+  }),
+  admins: createRepository(store, "admins", {
+    unique: { username: ["admins", "users"] },
+  }),
+  movies: createRepository(store, "movies"),
+  auditLog: createRepository(store, "auditLog"),
+  deprecatedUsage: createRepository(store, "deprecatedUsage"),
+});
+
+const dataSources = createDataSources(createStore());
+
+module.exports = { dataSources, createDataSources, seed };
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+const { migrateData } = require("./migrations");
+const { initSequences, takeNextId } = require("./sequences");
+
+/**
+ * JSON file store
+ *
+ * A "store" is the lowest level of our data layer - it only knows how to read and write
+ * whole collections (named lists of records, f.e. "users" or "movies"). It doesn't know
+ * anything about users, movies or GraphQL. Repositories (see repository.js) are built
+ * on top of a store and resolvers are talking only to repositories.
+ *
+ * Every store has to provide the same async API:
+ * - getCollection(name) - returns all the records of the collection
+ * - setCollection(name, records) - replaces the records of the collection
+ * - nextId(name) - returns a new, never used ID for the collection (see sequences.js)
+ *
+ * Thanks to this, we can swap the backend (f.e. to SQLite or a real database) just by
+ * writing a new store with the same API - nothing else has to change.
+ *
+ * This store keeps the data in memory and writes them into a JSON file after every change,
+ * so the data will survive the server restarts. If the file doesn't exist yet, the store is
+ * created from the "seed" data (our FakeData.js arrays). If you want to start from the seed
+ * data again, just delete the file. A file written by an older version of the server is migrated
+ * when it is loaded (see migrations.js).
+ */
+const createJsonFileStore = ({ filePath, seed }) => {
+  const readData = () => {
+    if (!fs.existsSync(filePath)) {
+      return JSON.parse(JSON.stringify(seed));
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, { encoding: "utf-8" }));
+  };
+
+  const writeData = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  };
+
+  const data = migrateData(readData());
+  initSequences(data);
+
+  return {
+    getCollection: async (name) => data[name] || [],
+    setCollection: async (name, records) => {
+      data[name] = records;
+      writeData();
+    },
+    nextId: async (name) => {
+      const id = takeNextId(data, name);
+      writeData();
+      return id;
+    },
+  };
+};
+
+module.exports = { createJsonFileStore };
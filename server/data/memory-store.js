@@ -0,0 +1,25 @@
+const { initSequences, takeNextId } = require("./sequences");
+
+/**
+ * In-memory store
+ *
+ * Same API as the JSON file store (see json-file-store.js), but the data
+ * are living only in memory, so they are lost when the server restarts - the
+ * same behavior as we had with the plain FakeData.js arrays.
+ *
+ * The seed data are deep-copied, so the FakeData.js arrays are never mutated.
+ */
+const createMemoryStore = ({ seed }) => {
+  const data = JSON.parse(JSON.stringify(seed));
+  initSequences(data);
+
+  return {
+    getCollection: async (name) => data[name] || [],
+    setCollection: async (name, records) => {
+      data[name] = records;
+    },
+    nextId: async (name) => takeNextId(data, name),
+  };
+};
+
+module.exports = { createMemoryStore };
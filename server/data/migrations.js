@@ -0,0 +1,51 @@
+/**
+ * Migrations of the stored data
+ *
+ * The data file (data/db.json) can be written by an older version of the server, so its records may not have
+ * everything the current schema needs. The data are migrated when they are loaded, so the test data survive
+ * the upgrades too:
+ *
+ * - admins stored in the "users" collection (the records with a "role") are moved into their own "admins"
+ *   collection. They keep their IDs, so the tokens and the audit log entries still point to them.
+ * - records without the "createdAt"/"updatedAt" timestamps or without the "version" get the same values
+ *   as the seed data (see withMetadata)
+ *
+ * Every migration checks, whether it is still needed, so migrating already migrated data changes nothing.
+ * The migrated data are written into the file with the next change.
+ */
+const SEED_TIMESTAMP = "2023-01-01T00:00:00.000Z";
+
+// The values already in the records are kept
+const withMetadata = (records) =>
+  records.map((record) => ({
+    version: 1,
+    createdAt: SEED_TIMESTAMP,
+    updatedAt: SEED_TIMESTAMP,
+    ...record,
+  }));
+
+const moveAdminsFromUsers = (data) => {
+  if (data.admins || !data.users) {
+    return;
+  }
+
+  data.admins = data.users.filter((user) => user.role);
+  data.users = data.users.filter((user) => !user.role);
+};
+
+const addMissingMetadata = (data) => {
+  Object.keys(data)
+    .filter((name) => Array.isArray(data[name]))
+    .forEach((name) => {
+      data[name] = withMetadata(data[name]);
+    });
+};
+
+// Changes the data in place
+const migrateData = (data) => {
+  moveAdminsFromUsers(data);
+  addMissingMetadata(data);
+  return data;
+};
+
+module.exports = { withMetadata, migrateData };
@@ -0,0 +1,200 @@
+const _ = require("lodash");
+
+const { conflict, invalidFields } = require("../errors");
+
+/**
+ * Repository
+ *
+ * Repository is a small layer between the resolvers and the store. It gives us
+ * a nice API for working with one collection (f.e. "users"), so resolvers don't need
+ * to know how or where the data are stored - they just call f.e. `users.findById(1)`.
+ *
+ * All the methods are async, because a real database would be async too. Resolvers can
+ * return promises, so this doesn't change anything for GraphQL.
+ *
+ * The records are returned as copies, so changing a returned object in a resolver
+ * won't change the stored data by accident - every change has to go through
+ * "insert", "update" or "remove".
+ *
+ * The changes are running one after another - every change is reading the whole collection
+ * and writing it back, so two changes running at the same time (f.e. in Promise.all)
+ * would overwrite each other. The changes of all the collections of one store are sharing the same queue,
+ * so a change can check also the other collections (see "unique" below).
+ *
+ * Every change increases the "version" of the repository. Whoever keeps some data derived from the collection
+ * (f.e. the response cache - see plugins/response-cache.js) can compare the version to find out, that the data
+ * are outdated.
+ *
+ * Every record gets the "createdAt" and "updatedAt" timestamps (ISO strings, see the DateTime scalar
+ * in schema/scalars.js) on insert, "updatedAt" is then changed on every update. So the resolvers
+ * don't need to care about them.
+ *
+ * Every record has also its own "version" - 1 after insert, increased by every update. The client can send
+ * the version of the record it has seen and the update is then rejected with the CONFLICT error, if somebody
+ * else changed the record in the meantime (optimistic concurrency control). So the client can't overwrite
+ * a change it hasn't seen.
+ *
+ * "unique" - the fields, which can't have the same value in the given collections, f.e.
+ * { username: ["users", "admins"] }. The @unique directive (see schema/validation-directives.js) checks it
+ * before the resolver runs, so the client gets the message for the right input field - but only the check
+ * in the queue is safe against two requests creating the same username at the same time.
+ */
+// store => the last change in its queue
+const pendingChangesByStore = new WeakMap();
+
+const createRepository = (store, collection, { unique = {} } = {}) => {
+  const getAll = () => store.getCollection(collection);
+
+  let version = 0;
+  /**
+   * @template T
+   * @param {() => Promise<T>} change
+   * @returns {Promise<T>}
+   */
+  const runExclusive = (change) => {
+    const pendingChanges =
+      pendingChangesByStore.get(store) || Promise.resolve();
+    const result = pendingChanges.then(change).then((changed) => {
+      version++;
+      return changed;
+    });
+    pendingChangesByStore.set(
+      store,
+      result.catch(() => {})
+    );
+    return result;
+  };
+
+  // "ownId" - the changed record keeps its own values
+  const assertUnique = async (values, ownId) => {
+    const fieldErrors = [];
+
+    for (const [field, collections] of Object.entries(unique)) {
+      const value = values[field];
+      const records = await Promise.all(
+        collections.map((name) => store.getCollection(name))
+      );
+      const taken =
+        value != null &&
+        collections.some((name, index) =>
+          records[index].some(
+            (record) =>
+              record[field] === value &&
+              !(name === collection && record.id === ownId)
+          )
+        );
+
+      if (taken) {
+        fieldErrors.push({
+          field,
+          path: [field],
+          message: `"${value}" is already taken`,
+        });
+      }
+    }
+
+    if (fieldErrors.length) {
+      throw invalidFields(fieldErrors);
+    }
+  };
+
+  return {
+    getVersion: () => version,
+    findAll: async () => _.cloneDeep(await getAll()),
+    findById: async (id) => {
+      const record = _.find(await getAll(), { id: Number(id) });
+      return record ? _.cloneDeep(record) : undefined;
+    },
+    findByIds: async (ids) => {
+      const numericIds = ids.map(Number);
+      const records = await getAll();
+      return _.cloneDeep(
+        records.filter((record) => numericIds.includes(record.id))
+      );
+    },
+    /**
+     * The ID of the new record is always taken from the sequence of the collection (see sequences.js),
+     * so the IDs are never reused - even after the last record is removed.
+     */
+    insert: (record) =>
+      runExclusive(async () => {
+        await assertUnique(record);
+        const records = await getAll();
+        const now = new Date().toISOString();
+        const inserted = {
+          ..._.cloneDeep(record),
+          id: await store.nextId(collection),
+          version: 1,
+          createdAt: now,
+          updatedAt: now,
+        };
+        await store.setCollection(collection, [...records, inserted]);
+        return _.cloneDeep(inserted);
+      }),
+    /**
+     * Merges the "changes" into the record with the given ID.
+     * Returns the updated record or undefined, if the record doesn't exist.
+     * With the "expectedVersion" the record is updated only if it still has this version.
+     *
+     * The "changes" can be also a function getting the current record and returning the changes, f.e.
+     * `(user) => ({ friends: [...user.friends, 2] })`. It is called in the queue, so it always gets the latest
+     * record - with the record read before (outside of the queue) two such changes running at the same time
+     * would both start from the same list and the first added friend would be lost.
+     */
+    update: (id, changes, { expectedVersion = null } = {}) =>
+      runExclusive(async () => {
+        const records = await getAll();
+        const record = _.find(records, { id: Number(id) });
+
+        if (!record) {
+          return undefined;
+        }
+
+        if (expectedVersion != null && record.version !== expectedVersion) {
+          throw conflict(
+            `The record was changed in the meantime, its current version is ${record.version}`,
+            { currentVersion: record.version }
+          );
+        }
+
+        const recordChanges =
+          typeof changes === "function"
+            ? changes(_.cloneDeep(record))
+            : changes;
+        await assertUnique(recordChanges, record.id);
+
+        const updated = {
+          ...record,
+          ..._.cloneDeep(recordChanges),
+          version: record.version + 1,
+          updatedAt: new Date().toISOString(),
+        };
+        await store.setCollection(
+          collection,
+          records.map((item) => (item === record ? updated : item))
+        );
+        return _.cloneDeep(updated);
+      }),
+    /**
+     * Removes the record with the given ID.
+     * Returns the removed record or undefined, if the record doesn't exist.
+     */
+    remove: (id) =>
+      runExclusive(async () => {
+        const records = await getAll();
+        const record = _.find(records, { id: Number(id) });
+
+        if (!record) {
+          return undefined;
+        }
+
+        await store.setCollection(
+          collection,
+          records.filter((item) => item !== record)
+        );
+        return _.cloneDeep(record);
+      }),
+  };
+};
+
+module.exports = { createRepository };
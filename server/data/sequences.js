@@ -0,0 +1,34 @@
+/**
+ * IDs (sequences)
+ *
+ * Every collection has its own sequence of IDs - the last used ID is kept in the "sequences" object of the
+ * store data (next to the collections), so the IDs of the removed records are never used again (f.e. a token,
+ * a cached response or an audit log entry can still point to them).
+ *
+ * The sequences are initialized when the store is created - from the highest IDs of the seed data (or of the
+ * data saved before the sequences existed). Later it can't be done anymore, the removed records would be missing.
+ *
+ * The next ID is read and saved in one step (without any "await" in between), so two inserts running
+ * at the same time can never get the same ID.
+ */
+const initSequences = (data) => {
+  const collections = Object.keys(data).filter((name) =>
+    Array.isArray(data[name])
+  );
+  const lastIds = collections.map((name) => [
+    name,
+    Math.max(0, ...data[name].map((record) => record.id)),
+  ]);
+
+  // The saved sequences are kept - they can be higher than the highest ID (after removing the last record)
+  data.sequences = { ...Object.fromEntries(lastIds), ...data.sequences };
+};
+
+// Moves the sequence of the collection and returns the new ID
+const takeNextId = (data, name) => {
+  const id = (data.sequences[name] || 0) + 1;
+  data.sequences = { ...data.sequences, [name]: id };
+  return id;
+};
+
+module.exports = { initSequences, takeNextId };
@@ -0,0 +1,172 @@
+const { GraphQLError } = require("graphql");
+const { unwrapResolverError } = require("@apollo/server/errors");
+
+/**
+ * Error catalogue
+ *
+ * All the errors our resolvers are throwing on purpose are created here, so every error of the same kind
+ * has the same "code" in the response (extensions.code) and the client can react on it - f.e. show
+ * a "not found" page for NOT_FOUND or the login form for UNAUTHENTICATED.
+ *
+ * Every error has a default message, which can be overridden by a more concrete one in the helper constructors.
+ * Extra properties (f.e. the ID of the missing object) are sent in the "extensions" too.
+ *
+ * Example of an error in the response:
+ *
+ * {
+ *   "errors": [{
+ *     "message": "User with ID 99 not found",
+ *     "path": ["user"],
+ *     "extensions": { "code": "NOT_FOUND", "entity": "User", "id": "99" }
+ *   }],
+ *   "data": null
+ * }
+ */
+const ERRORS = {
+  NOT_FOUND: "The requested object was not found",
+  VALIDATION_FAILED: "The input is not valid",
+  UNAUTHENTICATED: "You must be logged in",
+  FORBIDDEN: "You are not allowed to do this",
+  CONFLICT: "The change conflicts with the current data",
+  QUERY_TOO_DEEP: "The query is nested too deep",
+  QUERY_TOO_COMPLEX: "The query is too expensive",
+  OPERATION_NOT_ALLOWED: "Only the operations of our client are allowed",
+  INTERNAL_SERVER_ERROR: "Something went wrong, please try again later",
+};
+
+const createError = (code, message, extensions = {}) =>
+  new GraphQLError(message || ERRORS[code], {
+    extensions: { ...extensions, code },
+  });
+
+/**
+ * notFound("User", { id: 1 }) => "User with ID 1 not found"
+ * notFound("Movie", { name: "Avatar" }) => "Movie with name "Avatar" not found"
+ */
+const notFound = (entity, criteria) => {
+  const [[key, value]] = Object.entries(criteria);
+  const description = key === "id" ? `ID ${value}` : `${key} "${value}"`;
+  return createError("NOT_FOUND", `${entity} with ${description} not found`, {
+    entity,
+    ...criteria,
+  });
+};
+
+/**
+ * "field" is the name of the input field with the invalid value, so the client can show
+ * the message next to the right input. All the VALIDATION_FAILED errors have the same
+ * "fieldErrors" list - see also the validation directives (schema/validation-directives.js).
+ */
+const validationFailed = (message, field) =>
+  createError(
+    "VALIDATION_FAILED",
+    message,
+    field ? { fieldErrors: [{ field, path: [field], message }] } : {}
+  );
+
+/**
+ * fieldErrors - list of { field, path, message } objects, one for every failed rule
+ */
+const invalidFields = (fieldErrors) =>
+  createError(
+    "VALIDATION_FAILED",
+    fieldErrors.map(({ field, message }) => `${field}: ${message}`).join("; "),
+    { fieldErrors }
+  );
+
+const unauthenticated = (message) => createError("UNAUTHENTICATED", message);
+
+const forbidden = (message) => createError("FORBIDDEN", message);
+
+const conflict = (message, extensions) =>
+  createError("CONFLICT", message, extensions);
+
+/**
+ * Thrown by the query cost plugin (plugins/query-cost.js) before the operation is executed
+ */
+const queryTooDeep = (depth, maxDepth) =>
+  createError(
+    "QUERY_TOO_DEEP",
+    `The query has depth ${depth}, the maximum allowed depth is ${maxDepth}`,
+    { depth, maxDepth }
+  );
+
+const queryTooComplex = (cost, maxCost) =>
+  createError(
+    "QUERY_TOO_COMPLEX",
+    `The query has cost ${cost}, the maximum allowed cost is ${maxCost}`,
+    { cost, maxCost }
+  );
+
+/**
+ * Thrown in the "allowlist only" mode for operations missing in the persisted queries
+ * manifest - see plugins/persisted-queries.js. With the "message" also for queries and mutations
+ * sent over the WebSocket - see index.js.
+ */
+const operationNotAllowed = (operationName, message) =>
+  createError(
+    "OPERATION_NOT_ALLOWED",
+    message ||
+      (operationName
+        ? `Operation "${operationName}" is not in the list of allowed operations`
+        : undefined),
+    { operationName }
+  );
+
+/**
+ * Errors with these codes are created by GraphQL or Apollo Server itself (f.e. a syntax error in the query
+ * or a variable with a wrong type), so they are caused by the client and the message is safe to show.
+ */
+const BUILT_IN_CLIENT_ERRORS = [
+  "GRAPHQL_PARSE_FAILED",
+  "GRAPHQL_VALIDATION_FAILED",
+  "BAD_USER_INPUT",
+  "PERSISTED_QUERY_NOT_FOUND",
+  "PERSISTED_QUERY_NOT_SUPPORTED",
+  "OPERATION_RESOLUTION_FAILURE",
+  "BAD_REQUEST",
+];
+
+const isClientError = (code) =>
+  (code in ERRORS && code !== "INTERNAL_SERVER_ERROR") ||
+  BUILT_IN_CLIENT_ERRORS.includes(code);
+
+/**
+ * Used as "formatError" of the ApolloServer (see index.js) - every error goes through it before it is
+ * sent to the client.
+ *
+ * Errors from the catalogue and the built-in client errors are sent as they are. Every other error
+ * (f.e. a bug in a resolver or a failing database) is an internal error - its message can contain
+ * details about our code or data, so in production the client gets only the generic message. During
+ * development we want to see the original message and stacktrace, so we keep them.
+ */
+const formatError = (formattedError, error) => {
+  const code = formattedError.extensions?.code;
+
+  if (isClientError(code) || process.env.NODE_ENV !== "production") {
+    return formattedError;
+  }
+
+  // The original error (f.e. a TypeError from a resolver) is logged, so we can find out what happened
+  console.error(unwrapResolverError(error));
+  return {
+    message: ERRORS.INTERNAL_SERVER_ERROR,
+    locations: formattedError.locations,
+    path: formattedError.path,
+    extensions: { code: "INTERNAL_SERVER_ERROR" },
+  };
+};
+
+module.exports = {
+  ERRORS,
+  notFound,
+  validationFailed,
+  invalidFields,
+  unauthenticated,
+  forbidden,
+  conflict,
+  queryTooDeep,
+  queryTooComplex,
+  operationNotAllowed,
+  formatError,
+};
@@ -1,45 +1,249 @@
+const http = require("http");
+const express = require("express");
+const cors = require("cors");
+const { WebSocketServer } = require("ws");
+const { useServer } = require("graphql-ws/lib/use/ws");
 const { ApolloServer } = require("@apollo/server");
-const { startStandaloneServer } = require("@apollo/server/standalone");
-const { typeDefs } = require("./schema/type-defs");
-const { resolvers } = require("./schema/resolvers");
-
-// If we would use .graphql file as typedef, we can import it and then use it like this:
-//
-// const typeDefs = readFileSync('./schema.graphql', { encoding: 'utf-8' });
-// const server = new ApolloServer({ typeDefs, resolvers });
-
-const server = new ApolloServer({
-  typeDefs,
-  resolvers,
-  // If we want to send the error in different format to the client
-  // (f.e. with more human-readable error message), we can do it here.
-  formatError: (formattedError, error) => {
-    if (formattedError.extensions.code === "USER_NOT_EXISTS") {
-      return {
-        ...formattedError,
-        message: `User with ID ${formattedError.extensions.userId} not exists`,
-      };
+const { expressMiddleware } = require("@apollo/server/express4");
+const {
+  ApolloServerPluginDrainHttpServer,
+} = require("@apollo/server/plugin/drainHttpServer");
+const { makeExecutableSchema } = require("@graphql-tools/schema");
+const { parse, validate, getOperationAST, GraphQLError } = require("graphql");
+// The typeDefs and resolvers of all the schema modules - see schema/index.js
+const { typeDefs, resolvers } = require("./schema");
+const { authDirectiveTransformer } = require("./schema/auth-directive");
+const {
+  validationDirectiveTransformer,
+} = require("./schema/validation-directives");
+const { createHttpContext, createWsContext } = require("./context");
+const {
+  formatError,
+  operationNotAllowed,
+  queryTooDeep,
+  queryTooComplex,
+} = require("./errors");
+const {
+  createQueryCostPlugin,
+  analyzeOperation,
+} = require("./plugins/query-cost");
+const {
+  loadManifest,
+  getOperationNames,
+  isAllowedQuery,
+  createPersistedQueriesPlugin,
+} = require("./plugins/persisted-queries");
+const { createResponseCachePlugin } = require("./plugins/response-cache");
+const { createDeprecationUsagePlugin } = require("./plugins/deprecation-usage");
+const {
+  createTelemetryPlugin,
+  metricsRegistry,
+} = require("./plugins/telemetry");
+
+const PORT = process.env.PORT || 4000;
+// The metrics are for the monitoring only, so they are served on another port, only to the same machine
+const METRICS_PORT = Number(process.env.METRICS_PORT) || 9464;
+const METRICS_HOST = process.env.METRICS_HOST || "127.0.0.1";
+const MAX_QUERY_DEPTH = Number(process.env.MAX_QUERY_DEPTH) || 10;
+const MAX_QUERY_COST = Number(process.env.MAX_QUERY_COST) || 5000;
+// Only the operations from persisted-queries.json are executed - see plugins/persisted-queries.js
+const ALLOWLIST_ONLY = process.env.ALLOWLIST_ONLY === "true";
+
+const persistedQueriesManifest = loadManifest();
+
+/**
+ * Usually we can pass the typeDefs and resolvers directly to the ApolloServer, but
+ * the custom schema directives (@auth, @length, ...) need to be applied to an already built schema, so
+ * we build the schema ourselves and then let the directive transformers change it.
+ *
+ * The last applied transformer wraps the resolvers as the outermost one, so its check runs first - we want
+ * to check the permissions (@auth) before validating the input.
+ */
+const schema = authDirectiveTransformer(
+  validationDirectiveTransformer(makeExecutableSchema({ typeDefs, resolvers }))
+);
+
+/**
+ * The Apollo server with all our plugins. The server is created by a function, so the tests can run
+ * the operations against the same server in-process (server.executeOperation) without the HTTP server - see
+ * tests/helpers.js. Extra "plugins" are added by the startServer below, "log" replaces the JSON logs
+ * of the telemetry plugin (the tests don't need them), "allowlistOnly" replaces the ALLOWLIST_ONLY setting
+ * (so the tests can check both modes).
+ * @param {{ plugins?: import("@apollo/server").ApolloServerPlugin<import("./types").Context>[], log?: (entry: object) => void, allowlistOnly?: boolean }} [options]
+ */
+const createApolloServer = ({
+  plugins = [],
+  log,
+  allowlistOnly = ALLOWLIST_ONLY,
+} = {}) =>
+  new ApolloServer({
+    schema,
+    // If we want to send the error in different format to the client
+    // (f.e. hide the internal errors in production), we can do it here - see errors.js.
+    formatError,
+    // Place for plugins - f.e. some Apollo Studio reporting or Sentry error handler or so...
+    plugins: [
+      ...plugins,
+      // JSON logs and Prometheus metrics of every operation - see plugins/telemetry.js
+      createTelemetryPlugin({
+        log,
+        operationNames: getOperationNames(persistedQueriesManifest),
+      }),
+      // Persisted queries and the operation allowlist - see plugins/persisted-queries.js
+      createPersistedQueriesPlugin({
+        manifest: persistedQueriesManifest,
+        allowlistOnly,
+      }),
+      // Rejects too deep or too expensive queries - see plugins/query-cost.js
+      createQueryCostPlugin({
+        maxDepth: MAX_QUERY_DEPTH,
+        maxCost: MAX_QUERY_COST,
+      }),
+      // Which clients are still using the deprecated fields - see plugins/deprecation-usage.js
+      createDeprecationUsagePlugin(),
+      // Caching of the whole responses - see plugins/response-cache.js
+      createResponseCachePlugin(),
+    ],
+  });
+
+/**
+ * The "onSubscribe" hook of the WebSocket server (graphql-ws) - called for every operation sent over
+ * the WebSocket, before it is executed. The operations sent over the WebSocket don't go through the Apollo Server
+ * plugins, so the checks of the plugins are repeated here:
+ *
+ * - only subscriptions - graphql-ws would execute the queries and mutations too, without any other check
+ * - the allowlist - see plugins/persisted-queries.js
+ * - the query depth and cost limits - see plugins/query-cost.js
+ *
+ * The returned errors are sent to the client instead of the result. Otherwise the hook returns the parsed document,
+ * so graphql-ws doesn't need to parse and validate the query again.
+ * @param {{ allowlistOnly?: boolean }} [options]
+ */
+const createWsOnSubscribe =
+  ({ allowlistOnly = ALLOWLIST_ONLY } = {}) =>
+  (ctx, message) => {
+    const { query, operationName, variables } = message.payload;
+
+    if (allowlistOnly && !isAllowedQuery(persistedQueriesManifest, query)) {
+      return [operationNotAllowed(operationName)];
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return [error];
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length) {
+      return [...validationErrors];
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      return [new GraphQLError("Unable to identify operation")];
+    }
+
+    if (operation.operation !== "subscription") {
+      return [
+        operationNotAllowed(
+          operationName,
+          `Only subscriptions can be sent over the WebSocket, send the ${operation.operation} over HTTP`
+        ),
+      ];
     }
 
-    return formattedError;
-  },
-  // Place for plugins - f.e. some Apollo Studio reporting or Sentry error handler or so...
-  // plugins: []
-});
-
-startStandaloneServer(server, {
-  /**
-   * For every resolver we can provide a context. The "context" function is like
-   * an Express middleware before the actual request handler (like an app.use),
-   * which will handle f.e. the authentication stuff and then provide the result
-   * of the authentication to the request handlers - the same is happening here: in the context
-   * we can handle f.e. the authentication, then return a context with the auth data (logged in user data f.e.).
-   */
-  context: ({ req, res }) => {
-    // It will contain the "customHeader" header - see App.jsx.
-    // console.log(req.headers);
-    return { req };
-  },
-}).then(({ url }) => {
-  console.log(`YOUR API IS RUNNING AT: ${url} :)`);
-});
+    const { depth, cost } = analyzeOperation({
+      schema,
+      document,
+      operation,
+      variables,
+    });
+
+    if (depth > MAX_QUERY_DEPTH) {
+      return [queryTooDeep(depth, MAX_QUERY_DEPTH)];
+    }
+
+    if (cost > MAX_QUERY_COST) {
+      return [queryTooComplex(cost, MAX_QUERY_COST)];
+    }
+
+    return { schema, document, operationName, variableValues: variables };
+  };
+
+/**
+ * Subscriptions need a WebSocket connection, which the standalone Apollo server (startStandaloneServer)
+ * doesn't support. So we create our own HTTP server with Express - the queries and mutations are
+ * handled by the Apollo server through the Express middleware, the subscriptions by the WebSocket server
+ * (graphql-ws) listening on the same HTTP server and the same path.
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/data/subscriptions/
+ */
+const startServer = async () => {
+  const app = express();
+  const httpServer = http.createServer(app);
+
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: "/graphql",
+  });
+  const wsServerCleanup = useServer(
+    {
+      schema,
+      context: createWsContext,
+      onSubscribe: createWsOnSubscribe(),
+    },
+    wsServer
+  );
+
+  const server = createApolloServer({
+    plugins: [
+      // Proper shutdown of the HTTP server
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+      // Proper shutdown of the WebSocket server
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await wsServerCleanup.dispose();
+            },
+          };
+        },
+      },
+    ],
+  });
+
+  await server.start();
+
+  // The "context" function - see context.js
+  app.use(
+    "/graphql",
+    cors(),
+    express.json(),
+    expressMiddleware(server, { context: createHttpContext })
+  );
+
+  httpServer.listen(PORT, () => {
+    console.log(`YOUR API IS RUNNING AT: http://localhost:${PORT}/graphql :)`);
+  });
+
+  // Prometheus metrics collected by the telemetry plugin - see plugins/telemetry.js
+  const metricsApp = express();
+  metricsApp.get("/metrics", async (req, res) => {
+    res.set("Content-Type", metricsRegistry.contentType);
+    res.end(await metricsRegistry.metrics());
+  });
+  metricsApp.listen(METRICS_PORT, METRICS_HOST, () => {
+    console.log(
+      `Metrics are available at: http://${METRICS_HOST}:${METRICS_PORT}/metrics`
+    );
+  });
+};
+
+// The server is started only with "node index.js" (or nodemon), not when the tests require this file
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { schema, createApolloServer, createWsOnSubscribe };
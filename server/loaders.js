@@ -0,0 +1,154 @@
+const DataLoader = require("dataloader");
+const _ = require("lodash");
+
+/**
+ * Why do we need DataLoader?
+ * Because in some cases there is a problem called "N+1 problem".
+ * Let's have an example - you have the "users" query, which gets the list of all users.
+ * Users can have a list of friends, which are also users. For the "friends" we have a separate
+ * resolver.
+ * What will now happen if we send this query to server:
+ *
+ * users {
+ *   id
+ *   friends {
+ *     name
+ *   }
+ * }
+ *
+ * The resolver for the "users" query will run and then for EVERY user, then GraphQL will execute the "friends" resolver
+ * for every user in the array separately. The "friends" resolver will see only
+ * the concrete parent user in the "parent" function parameter, not the full list of users.
+ *
+ * This problem around this behavior is called N+1 problem (naming it 1+N, however, makes more sense), because the initial
+ * resolver ("users") will run once, and then the "friends" resolver will run N times, depending on how many
+ * users we will have.
+ *
+ * This is bad, because it can overload the database - imagine we have 200 users, then it means 201 DB queries - one for the users list, then
+ * 200 other for the list of friends of every user. But only 2 queries should be enough - for all the "users", then collect the IDs of friends
+ * run a query for all the friends of all users and then combine the data into final result.
+ *
+ * Here comes the DataLoader. It will collect every .load(id), .loadMany(ids) call and then in the next event loop tick,
+ * it will execute the given function (the batch function of the "userById" loader below) for these collected IDs from "load" and "loadMany" calls.
+ *
+ * So in our case, the "friends" resolver will run for every user as we said above, but the .loadMany(friendIds) function will be called,
+ * which will collect the list of friend IDs of the user. Then when GraphQL finishes looping through the users, event loop ticks and
+ * DataLoader will execute the batch function on the collected IDs to get the friends of the users. Then the promise from .loadMany() function
+ * will resolve and we will get the friends list in the resolver for the given user (DataLoader will care about that, so .load() and .loadMany() function
+ * will return only relevant data, not the full dataset loaded in the dataloader function - in our case the batch function of "userById").
+ *
+ * Why separate resolver for "friends"?
+ * We should do separate resolvers for every field, which needs additional data load. The user's "name", "age", etc.
+ * fields are loaded within the user object, but "friends" is only an array of IDs of users, which are friends of the given user.
+ * In a real database, loading these "friends" will almost always need additional query.
+ * - Okay, but why just don't do this additional query in the "users" resolver?
+ * Because in that case we would lose one of the main benefits of GraphQL. We don't want to make the DB query if the GraphQL query from
+ * the client isn't containing the "friends" field. But if we do the additional DB query in the "users" resolver, this fact will be ignored and
+ * while it's true, that the "friends" field won't be returned in the response to the client, the additional DB query will be executed - completely
+ * unneccessarily. But if we have a separate resolver for this "friends" field and the client query isn't containing the "friends" field,
+ * the "friends" resolver won't be executed.
+ *
+ * .load() vs .loadMany()
+ *
+ * load - is used, when we have one-to-one relationship, so f.e. Book has an Author, so we will have .load(authorId)
+ * loadMany - is used, when we have one-to-many relationship, so f.e. User has Friends, so we will have .loadMany(friendIds)
+ *
+ * More info:
+ * https://medium.com/the-marcy-lab-school/how-to-use-dataloader-js-9727c527efd0
+ * https://gajus.medium.com/using-dataloader-to-batch-requests-c345f4b23433
+ * https://rahmanfadhil.com/graphql-dataloader/
+ *
+ * Why per-request loaders?
+ * DataLoader caches every loaded value, so the second .load(1) won't hit the database again. If we had
+ * only one loader for the whole server, the cache would live forever - after "updateUser" every
+ * following request would still get the old user from the cache. So every request gets its own new loaders
+ * (in context.js) and their cache lives only as long as the request.
+ * Inside one request (f.e. a mutation returning the changed user with its friends) the mutations still need to
+ * clear or prime the changed values - see refreshUser/forgetUser below.
+ */
+
+/**
+ * Loader registry
+ *
+ * Every loader is defined here by its batch function - the function which gets all the collected
+ * keys and returns the values in the same order as the keys (DataLoader needs that). createLoaders
+ * then creates a new DataLoader for every definition, so adding a new loader means only adding
+ * a new definition here and then it's available as context.loaders.<name> in every resolver.
+ */
+const findInOrder = (records, ids) =>
+  ids.map((id) => _.find(records, { id: Number(id) }));
+
+const loaderDefinitions = {
+  userById: (dataSources) => async (ids) =>
+    findInOrder(await dataSources.users.findByIds(ids), ids),
+  adminById: (dataSources) => async (ids) =>
+    findInOrder(await dataSources.admins.findByIds(ids), ids),
+  movieById: (dataSources) => async (ids) =>
+    findInOrder(await dataSources.movies.findByIds(ids), ids),
+  /**
+   * The reverse side of the favorite movies relationship - for every given movie ID
+   * we return the list of users having this movie in their "favoriteMovies".
+   * One call of this function will load the fans of all the movies in the list at once.
+   */
+  usersByFavoriteMovieId: (dataSources) => async (movieIds) => {
+    const users = await dataSources.users.findAll();
+    return movieIds.map((movieId) =>
+      users.filter((user) =>
+        (user.favoriteMovies || []).includes(Number(movieId))
+      )
+    );
+  },
+};
+
+const createLoaders = (dataSources) =>
+  _.mapValues(
+    loaderDefinitions,
+    (defineBatchFn) => new DataLoader(defineBatchFn(dataSources))
+  );
+
+/**
+ * The IDs in the data are numbers, but GraphQL IDs coming from the arguments are strings,
+ * so the loaders are always used with numeric keys - otherwise 1 and "1" would be cached separately.
+ */
+const refreshUser = (loaders, user) => {
+  loaders.userById.clear(user.id).prime(user.id, user);
+};
+
+// The removed user can be a fan of any movie, so all the cached fans are cleared
+const forgetUser = (loaders, id) => {
+  loaders.userById.clear(Number(id));
+  loaders.usersByFavoriteMovieId.clearAll();
+};
+
+const refreshAdmin = (loaders, admin) => {
+  loaders.adminById.clear(admin.id).prime(admin.id, admin);
+};
+
+// Admins have no favorite movies, so only the admin itself is cleared
+const forgetAdmin = (loaders, id) => {
+  loaders.adminById.clear(Number(id));
+};
+
+const refreshMovie = (loaders, movie) => {
+  loaders.movieById.clear(movie.id).prime(movie.id, movie);
+};
+
+const forgetMovie = (loaders, id) => {
+  loaders.movieById.clear(Number(id));
+  loaders.usersByFavoriteMovieId.clear(Number(id));
+};
+
+const clearLoaders = (loaders) => {
+  Object.values(loaders).forEach((loader) => loader.clearAll());
+};
+
+module.exports = {
+  createLoaders,
+  refreshUser,
+  forgetUser,
+  refreshAdmin,
+  forgetAdmin,
+  refreshMovie,
+  forgetMovie,
+  clearLoaders,
+};
@@ -0,0 +1,118 @@
+const { collectDeprecatedUsage } = require("../schema/deprecations");
+
+/**
+ * Usage of the deprecated fields
+ *
+ * Before removing a deprecated field (or argument, input field, enum value - see schema/deprecations.js)
+ * from the schema, we need to know, that no client is using it anymore. So every operation using some
+ * deprecated part of the schema is recorded into the "deprecatedUsage" collection - one record for every
+ * coordinate, client and operation, f.e.:
+ *
+ * {
+ *   id: 1,
+ *   coordinate: "Mutation.updateUsername",
+ *   clientName: "web",                 // null, if the client didn't send its name
+ *   clientVersion: "1.0.0",
+ *   operationName: "UpdateUsername",   // null for the anonymous operations
+ *   count: 12,                         // how many times the operation was run
+ *   createdAt: "2023-06-01T10:00:00.000Z",   // first used
+ *   updatedAt: "2023-06-02T08:30:00.000Z",   // last used
+ * }
+ *
+ * The clients identify themselves by the "apollographql-client-name" and "apollographql-client-version"
+ * headers - the Apollo Client sends them, if it gets the "name" and "version" options (see client/src/App.jsx).
+ * Anybody can send any values there (and any operation name), so only MAX_CLIENTS_PER_COORDINATE clients
+ * get their own record for every coordinate - the usage by all the next ones is counted together
+ * in the OTHER_CLIENTS record. So the collection can't grow without limit.
+ *
+ * Only the operations which were executed without errors are recorded - f.e. an updateUsername rejected
+ * by @auth doesn't count.
+ *
+ * The usage is readable by the admins - see the deprecatedUsage query in the admins module.
+ */
+const CLIENT_NAME_HEADER = "apollographql-client-name";
+const CLIENT_VERSION_HEADER = "apollographql-client-version";
+const MAX_CLIENTS_PER_COORDINATE = 50;
+const OTHER_CLIENTS = {
+  clientName: "other",
+  clientVersion: null,
+  operationName: null,
+};
+
+const recordUsage = async (repository, coordinate, client) => {
+  const records = (await repository.findAll()).filter(
+    (item) => item.coordinate === coordinate
+  );
+  const findRecord = ({ clientName, clientVersion, operationName }) =>
+    records.find(
+      (item) =>
+        item.clientName === clientName &&
+        item.clientVersion === clientVersion &&
+        item.operationName === operationName
+    );
+  const recordedClient =
+    findRecord(client) || records.length < MAX_CLIENTS_PER_COORDINATE
+      ? client
+      : OTHER_CLIENTS;
+  const record = findRecord(recordedClient);
+
+  if (record) {
+    return repository.update(record.id, { count: record.count + 1 });
+  }
+
+  return repository.insert({ coordinate, ...recordedClient, count: 1 });
+};
+
+/**
+ * The deprecated parts are found in "didResolveOperation" (the operation is parsed and validated there) and
+ * the usage is recorded in "willSendResponse", when we know, that the operation didn't fail. The responses
+ * from the cache (see plugins/response-cache.js) are recorded too - the client is still using the fields.
+ * @returns {import("@apollo/server").ApolloServerPlugin<import("../types").Context>}
+ */
+const createDeprecationUsagePlugin = () => {
+  // Finding and updating the record are two steps, so the recording runs one by one - two operations
+  // running at the same time would create two records for the same client
+  let pendingRecords = Promise.resolve();
+
+  return {
+    async requestDidStart({ request }) {
+      let coordinates = [];
+
+      return {
+        async didResolveOperation({ schema, document, operation }) {
+          coordinates = collectDeprecatedUsage({
+            schema,
+            document,
+            operation,
+            variables: request.variables,
+          });
+        },
+        // "errors" - all the errors of the request, also the ones from the resolvers (f.e. the @auth ones)
+        async willSendResponse({ errors, operation, contextValue }) {
+          if (!coordinates.length || errors?.length) {
+            return;
+          }
+
+          const headers = request.http?.headers;
+          const client = {
+            clientName: headers?.get(CLIENT_NAME_HEADER) || null,
+            clientVersion: headers?.get(CLIENT_VERSION_HEADER) || null,
+            operationName: operation.name?.value || null,
+          };
+          const repository = contextValue.dataSources.deprecatedUsage;
+
+          pendingRecords = pendingRecords
+            .catch(() => {})
+            .then(async () => {
+              for (const coordinate of coordinates) {
+                await recordUsage(repository, coordinate, client);
+              }
+            });
+          await pendingRecords;
+        },
+      };
+    },
+  };
+};
+
+module.exports = { MAX_CLIENTS_PER_COORDINATE, createDeprecationUsagePlugin };
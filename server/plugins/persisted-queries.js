@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+const { parse, getOperationAST } = require("graphql");
+const { operationNotAllowed } = require("../errors");
+
+/**
+ * Persisted queries
+ *
+ * Normally the client sends the whole query text with every request. With the automatic persisted
+ * queries (APQ) the client sends only the SHA-256 hash of the query:
+ *
+ * { "extensions": { "persistedQuery": { "version": 1, "sha256Hash": "5adcaa..." } } }
+ *
+ * If the server doesn't know the hash yet, it answers with the PERSISTED_QUERY_NOT_FOUND error and the client
+ * sends the hash again together with the query text - the server saves it, so the next time the hash is enough.
+ * This is supported by the Apollo Server out of the box, the client needs the persisted queries link (see App.jsx).
+ *
+ * The persisted queries manifest (persisted-queries.json) contains all the operations of our client - it is
+ * generated from the client's gql documents by "npm run persisted-queries" in the client folder. With it:
+ *
+ * - the hashes of our client's operations are known right after the server starts
+ * - in the "allowlist only" mode (ALLOWLIST_ONLY=true) the server executes only the operations from
+ *   the manifest - any other query is rejected with the OPERATION_NOT_ALLOWED error. So in production
+ *   nobody can send us ad-hoc queries (this also disables the introspection and Apollo Sandbox).
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/performance/apq
+ */
+const MANIFEST_FILE = path.join(__dirname, "..", "persisted-queries.json");
+
+// The same hash as the Apollo Server and Apollo Client are using
+const hashQuery = (query) => createHash("sha256").update(query).digest("hex");
+
+/**
+ * Returns a Map of "hash => query text" with all the operations of the manifest
+ */
+const loadManifest = (filePath = MANIFEST_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    return new Map();
+  }
+
+  const { operations } = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  return new Map(operations.map(({ id, body }) => [id, body]));
+};
+
+// The names of all the operations in the manifest (f.e. "GetAllUsers")
+const getOperationNames = (manifest) =>
+  new Set(
+    [...manifest.values()]
+      .map((query) => getOperationAST(parse(query))?.name?.value)
+      .filter(Boolean)
+  );
+
+const isAllowedQuery = (manifest, query) => manifest.has(hashQuery(query));
+
+/** @returns {import("@apollo/server").ApolloServerPlugin<import("../types").Context>} */
+const createPersistedQueriesPlugin = ({ manifest, allowlistOnly }) => ({
+  async requestDidStart({ request }) {
+    const hash = request.extensions?.persistedQuery?.sha256Hash;
+
+    // Only the hash was sent - if the operation is in the manifest, we already know the query text
+    if (hash && request.query === undefined && manifest.has(hash)) {
+      request.query = manifest.get(hash);
+    }
+
+    if (!allowlistOnly) {
+      return;
+    }
+
+    return {
+      // "queryHash" is the SHA-256 hash of the query text, no matter if the client sent
+      // the whole query or only its hash
+      async didResolveOperation({ queryHash, operationName, response }) {
+        if (!manifest.has(queryHash)) {
+          response.http.status = 400;
+          throw operationNotAllowed(operationName);
+        }
+      },
+    };
+  },
+});
+
+module.exports = {
+  loadManifest,
+  getOperationNames,
+  isAllowedQuery,
+  createPersistedQueriesPlugin,
+};
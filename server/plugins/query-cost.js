@@ -0,0 +1,230 @@
+const { getDirective } = require("@graphql-tools/utils");
+const {
+  getArgumentValues,
+  getNamedType,
+  isAbstractType,
+  isCompositeType,
+  isListType,
+  getNullableType,
+  Kind,
+} = require("graphql");
+const { queryTooDeep, queryTooComplex } = require("../errors");
+
+/**
+ * Query depth and cost limits
+ *
+ * Our schema has cycles - a User has friends, which are Users, which have friends... So a client can send
+ * a query like this and the server would have to load the friends again and again:
+ *
+ * users { edges { node { ... on User { friends { friends { friends { friends { name } } } } } } } }
+ *
+ * This plugin checks every operation BEFORE it is executed and rejects it, if it is too deep or too expensive.
+ *
+ * Depth - the deepest level of nested fields in the operation (fragments are expanded).
+ *
+ * Cost - an estimate of how much work the operation needs. Every field has a cost (by default 1 for fields
+ * returning objects, 0 for scalars) and the cost of the nested fields is multiplied by the expected count of
+ * the returned items. These numbers are set by the @cost directive in the schema modules (schema/modules):
+ *
+ * - complexity - cost of the field itself
+ * - multipliers - arguments which say how many items are returned (f.e. "first" of the "users" query),
+ *   for list arguments the length of the list (f.e. "ids" of the "nodes" query)
+ * - assumedSize - expected count of the items, if the multiplier arguments are not sent
+ *
+ * So f.e. "users(first: 10) { edges { node { ... on User { friends { favoriteMovies { name } } } } } }" costs
+ * 1 (users) + 10 * (1 (edges) + 1 (node) + 1 (friends) + 10 (assumed friends) * 1 (favoriteMovies)) = 131.
+ *
+ * For unions and interfaces (f.e. UserAdmin) we count the most expensive of the possible types, because
+ * every returned item has exactly one concrete type.
+ *
+ * The computed depth and cost are sent in the "extensions" of every response:
+ * "extensions": { "cost": { "depth": 6, "cost": 131, "maxDepth": 10, "maxCost": 5000 } }
+ *
+ * More info: https://www.apollographql.com/blog/graphql/security/securing-your-graphql-api-from-malicious-queries/
+ */
+const getCostHint = (schema, fieldDef) =>
+  getDirective(schema, fieldDef, "cost")?.[0] || {};
+
+const getMultiplier = (costHint, args) => {
+  // A negative count (f.e. "first: -1000") would lower the cost of the other fields, so it counts as 0.
+  // The field itself then fails in its resolver (see schema/pagination.js).
+  const values = (costHint.multipliers || [])
+    .map((name) => (Array.isArray(args[name]) ? args[name].length : args[name]))
+    .filter((value) => typeof value === "number")
+    .map((value) => Math.max(0, value));
+
+  if (values.length) {
+    return Math.max(...values);
+  }
+
+  return costHint.assumedSize ?? 1;
+};
+
+const createAnalyzer = ({ schema, fragments, variables }) => {
+  /**
+   * Returns the selections (fields, fragments) applying to the given concrete object type.
+   */
+  const collectFields = (selectionSet, objectType, fields = []) => {
+    selectionSet.selections.forEach((selection) => {
+      if (selection.kind === Kind.FIELD) {
+        fields.push(selection);
+        return;
+      }
+
+      const fragment =
+        selection.kind === Kind.FRAGMENT_SPREAD
+          ? fragments[selection.name.value]
+          : selection;
+      const typeCondition = fragment.typeCondition
+        ? schema.getType(fragment.typeCondition.name.value)
+        : objectType;
+
+      if (
+        typeCondition === objectType ||
+        (isAbstractType(typeCondition) &&
+          schema.isSubType(typeCondition, objectType))
+      ) {
+        collectFields(fragment.selectionSet, objectType, fields);
+      }
+    });
+    return fields;
+  };
+
+  /**
+   * Computes { depth, cost } of the selection set for the given parent type.
+   */
+  const analyzeSelectionSet = (selectionSet, parentType) => {
+    const objectTypes = isAbstractType(parentType)
+      ? schema.getPossibleTypes(parentType)
+      : [parentType];
+
+    return objectTypes.reduce(
+      (result, objectType) => {
+        const { depth, cost } = collectFields(selectionSet, objectType).reduce(
+          (sum, fieldNode) => {
+            const field = analyzeField(fieldNode, objectType);
+            return {
+              depth: Math.max(sum.depth, field.depth),
+              cost: sum.cost + field.cost,
+            };
+          },
+          { depth: 0, cost: 0 }
+        );
+
+        return {
+          depth: Math.max(result.depth, depth),
+          cost: Math.max(result.cost, cost),
+        };
+      },
+      { depth: 0, cost: 0 }
+    );
+  };
+
+  const analyzeField = (fieldNode, parentType) => {
+    const fieldName = fieldNode.name.value;
+
+    // __typename, __schema and other introspection fields are not counted
+    if (fieldName.startsWith("__")) {
+      return { depth: 0, cost: 0 };
+    }
+
+    const fieldDef = parentType.getFields()[fieldName];
+    const returnType = getNamedType(fieldDef.type);
+    const costHint = getCostHint(schema, fieldDef);
+    const complexity =
+      costHint.complexity ?? (isCompositeType(returnType) ? 1 : 0);
+
+    if (!fieldNode.selectionSet) {
+      return { depth: 1, cost: complexity };
+    }
+
+    const args = getArgumentValues(fieldDef, fieldNode, variables);
+    const isList = isListType(getNullableType(fieldDef.type));
+    const multiplier =
+      isList || costHint.multipliers ? getMultiplier(costHint, args) : 1;
+    const children = analyzeSelectionSet(fieldNode.selectionSet, returnType);
+
+    return {
+      depth: children.depth + 1,
+      cost: complexity + multiplier * children.cost,
+    };
+  };
+
+  return { analyzeSelectionSet };
+};
+
+const analyzeOperation = ({ schema, document, operation, variables }) => {
+  const fragments = Object.fromEntries(
+    document.definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((definition) => [definition.name.value, definition])
+  );
+  const rootType = schema.getRootType(operation.operation);
+
+  return createAnalyzer({
+    schema,
+    fragments,
+    variables: variables || {},
+  }).analyzeSelectionSet(operation.selectionSet, rootType);
+};
+
+/**
+ * Apollo Server plugin
+ *
+ * Plugins can hook into the lifecycle of every request - "requestDidStart" is called at the start of every
+ * request and it returns the hooks for the later phases of this request. "didResolveOperation" is called when the
+ * operation is parsed and validated, but not executed yet - if we throw an error there, the operation won't be
+ * executed at all.
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/integrations/plugins
+ * @returns {import("@apollo/server").ApolloServerPlugin<import("../types").Context>}
+ */
+const createQueryCostPlugin = ({ maxDepth, maxCost }) => ({
+  async requestDidStart() {
+    let result;
+
+    return {
+      async didResolveOperation({
+        schema,
+        document,
+        operation,
+        request,
+        response,
+      }) {
+        result = analyzeOperation({
+          schema,
+          document,
+          operation,
+          variables: request.variables,
+        });
+
+        // Errors thrown before the execution are sent with the HTTP status 500 by default,
+        // but the problem is in the client's request, so it should be 400 (Bad Request)
+        if (result.depth > maxDepth || result.cost > maxCost) {
+          response.http.status = 400;
+        }
+
+        if (result.depth > maxDepth) {
+          throw queryTooDeep(result.depth, maxDepth);
+        }
+
+        if (result.cost > maxCost) {
+          throw queryTooComplex(result.cost, maxCost);
+        }
+      },
+      async willSendResponse({ response }) {
+        if (!result || response.body.kind !== "single") {
+          return;
+        }
+
+        const { singleResult } = response.body;
+        singleResult.extensions = {
+          ...singleResult.extensions,
+          cost: { ...result, maxDepth, maxCost },
+        };
+      },
+    };
+  },
+});
+
+module.exports = { createQueryCostPlugin, analyzeOperation };
@@ -0,0 +1,54 @@
+const _ = require("lodash");
+const { InMemoryLRUCache } = require("@apollo/utils.keyvaluecache");
+const responseCachePlugin =
+  require("@apollo/server-plugin-response-cache").default;
+const { toGlobalId } = require("../schema/global-id");
+
+const UNCACHED_DATA_SOURCES = ["auditLog", "deprecatedUsage"];
+
+/**
+ * Response cache
+ *
+ * The whole responses of the queries are cached, so the same query with the same variables doesn't need to
+ * run the resolvers again. How long a response can be cached is computed by the Apollo Server from the
+ * @cacheControl hints in the schema modules (schema/modules) - f.e. a query with movies only is cached for an hour, but once it
+ * contains some User too, it is cached only for 30 seconds. Mutations and subscriptions are never cached.
+ *
+ * The cache is kept in the memory of the server process (InMemoryLRUCache - the least recently used responses
+ * are removed when it is full), so it is lost on every restart. For more server instances we would use
+ * a shared cache, f.e. Redis.
+ *
+ * Responses with PRIVATE hints (f.e. users) are cached separately for every logged in user ("sessionId"),
+ * responses for not logged in users with PRIVATE hints are not cached at all.
+ *
+ * Invalidation - when a mutation changes some data, the cached responses containing them have to be thrown
+ * away. Every repository has a "version" increased by every change (see data/repository.js) and the versions
+ * are part of the cache key ("extraCacheKeyData" - except the UNCACHED_DATA_SOURCES). So after f.e. createUser
+ * the users version is different, the queries are looking for responses with the new version and the old
+ * responses are never used again
+ * (they are removed from the cache later, when their maxAge ends).
+ *
+ * We can check, if the response came from the cache, by the "age" HTTP header of the response.
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/performance/caching
+ * @returns {import("@apollo/server").ApolloServerPlugin<import("../types").Context>}
+ */
+const createResponseCachePlugin = () =>
+  responseCachePlugin({
+    cache: new InMemoryLRUCache(),
+    // The global ID - users and admins have their own numeric IDs, so f.e. User 1 and Admin 1 have the same one
+    // (only admins have the "role")
+    sessionId: async ({ contextValue: { currentUser } }) =>
+      currentUser
+        ? toGlobalId(currentUser.role ? "Admin" : "User", currentUser.id)
+        : null,
+    // The audit log and the deprecated usage are never cached (no @cacheControl hints) and they are changed
+    // by other requests too (f.e. every query using a deprecated field), so they would only empty the cache
+    extraCacheKeyData: async ({ contextValue }) =>
+      _.mapValues(
+        _.omit(contextValue.dataSources, UNCACHED_DATA_SOURCES),
+        (repository) => repository.getVersion()
+      ),
+  });
+
+module.exports = { createResponseCachePlugin };
@@ -0,0 +1,253 @@
+const _ = require("lodash");
+const promClient = require("prom-client");
+const { visit, Kind } = require("graphql");
+
+/**
+ * Logging, tracing and metrics
+ *
+ * Every operation is logged as one JSON line (easy to read by machines - f.e. by a log collector), f.e.:
+ *
+ * {"time":"2023-06-01T10:00:00.000Z","level":"info","message":"operation","operationName":"GetAllUsers",
+ *  "operationType":"query","variables":{},"durationMs":12.3,"cacheHit":false,
+ *  "resolvers":{"Query.users":{"count":1,"totalMs":2.1,"maxMs":2.1},"User.friends":{"count":5,...}},"errors":[]}
+ *
+ * - variables - passwords, tokens and similar values are replaced by "[REDACTED]", we never want them in the logs.
+ *   The variable names can be anything (f.e. "login(username: $u, password: $p)"), so we check also the names
+ *   of the arguments and input fields the variables are used for.
+ * - resolvers - how many times and how long our resolvers were running (tracing). Only the fields with our own
+ *   resolvers are measured - the default resolvers are just reading a property of the parent object.
+ * - errors - all the errors of the operation, with the code and the path
+ *
+ * The same numbers are collected as Prometheus metrics, which are available at http://localhost:9464/metrics
+ * (see index.js - a separate port, reachable only from the same machine). Prometheus (or any compatible tool)
+ * can then read them periodically and show f.e. a graph of the slowest resolvers:
+ *
+ * - graphql_operations_total - count of the operations (by name, type and result)
+ * - graphql_operation_duration_seconds - how long the operations took
+ * - graphql_resolver_duration_seconds - how long the resolvers took (by field, f.e. "User.friends")
+ * - graphql_errors_total - count of the errors (by code)
+ *
+ * Every distinct label value is a new time series kept in the memory forever. The operation name is sent by
+ * the client, so anybody could create any count of them - only the names of our own operations (from
+ * the persisted queries manifest, see "operationNames") are used as labels, all the others are "other".
+ *
+ * More info:
+ * - about plugins: https://www.apollographql.com/docs/apollo-server/integrations/plugins
+ * - about Prometheus metrics: https://prometheus.io/docs/concepts/metric_types/
+ */
+const REDACTED_VARIABLES = /password|token|secret|authorization/i;
+
+/**
+ * Returns the names of the variables used for a sensitive argument or input field,
+ * f.e. "p" for "login(password: $p)" or "createUser(input: { password: $p })"
+ */
+const getSensitiveVariables = (document) => {
+  const names = new Set();
+  const checkValue = (node) => {
+    if (
+      REDACTED_VARIABLES.test(node.name.value) &&
+      node.value.kind === Kind.VARIABLE
+    ) {
+      names.add(node.value.name.value);
+    }
+  };
+
+  if (document) {
+    visit(document, { Argument: checkValue, ObjectField: checkValue });
+  }
+  return names;
+};
+
+const redactValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, (item, key) =>
+      REDACTED_VARIABLES.test(key) ? "[REDACTED]" : redactValue(item)
+    );
+  }
+
+  return value;
+};
+
+const redactVariables = (variables, document) => {
+  const sensitiveVariables = getSensitiveVariables(document);
+
+  return _.mapValues(redactValue(variables), (value, name) =>
+    sensitiveVariables.has(name) ? "[REDACTED]" : value
+  );
+};
+
+// Every line is one JSON object, so the log can be processed line by line
+const logJson = (entry) => {
+  process.stdout.write(
+    `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`
+  );
+};
+
+// Duration in milliseconds since "start" (process.hrtime.bigint())
+const millisecondsSince = (start) =>
+  Number(process.hrtime.bigint() - start) / 1e6;
+
+const metricsRegistry = new promClient.Registry();
+// Memory, CPU and other metrics of the Node.js process
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const operationsCounter = new promClient.Counter({
+  name: "graphql_operations_total",
+  help: "Count of the GraphQL operations",
+  labelNames: ["operation_name", "operation_type", "status"],
+  registers: [metricsRegistry],
+});
+
+const operationDuration = new promClient.Histogram({
+  name: "graphql_operation_duration_seconds",
+  help: "Duration of the GraphQL operations",
+  labelNames: ["operation_name", "operation_type"],
+  registers: [metricsRegistry],
+});
+
+const resolverDuration = new promClient.Histogram({
+  name: "graphql_resolver_duration_seconds",
+  help: "Duration of the GraphQL resolvers",
+  labelNames: ["field"],
+  // Resolvers are usually much faster than the whole operations
+  buckets: [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
+  registers: [metricsRegistry],
+});
+
+const errorsCounter = new promClient.Counter({
+  name: "graphql_errors_total",
+  help: "Count of the GraphQL errors",
+  labelNames: ["code"],
+  registers: [metricsRegistry],
+});
+
+/**
+ * Returns the "Type.field" names of all the fields with our own resolvers, f.e. "User.friends".
+ *
+ * We can't check "field.resolve" during the execution - the Apollo Server wraps all the resolvers
+ * (even the default ones) to call the "willResolveField" hook, so they all have some "resolve" then.
+ */
+const getResolvedFields = (schema) =>
+  new Set(
+    Object.values(schema.getTypeMap())
+      .filter((type) => !type.name.startsWith("__") && type.getFields)
+      .flatMap((type) =>
+        Object.values(type.getFields())
+          .filter((field) => field.resolve)
+          .map((field) => `${type.name}.${field.name}`)
+      )
+  );
+
+const getOperationLabel = (operationName, operationNames) => {
+  if (!operationName) {
+    return "anonymous";
+  }
+
+  return operationNames.has(operationName) ? operationName : "other";
+};
+
+/**
+ * "operationNames" - the names allowed as the "operation_name" label (see above)
+ * @returns {import("@apollo/server").ApolloServerPlugin<import("../types").Context>}
+ */
+const createTelemetryPlugin = ({
+  log = logJson,
+  operationNames = new Set(),
+} = {}) => {
+  let resolvedFields = new Set();
+
+  return {
+    async serverWillStart({ schema }) {
+      resolvedFields = getResolvedFields(schema);
+    },
+    async requestDidStart({ request }) {
+      const start = process.hrtime.bigint();
+      // "User.friends" => { count, totalMs, maxMs }
+      /** @type {Object<string, { count: number, totalMs: number, maxMs: number }>} */
+      const resolvers = {};
+      let errors = [];
+
+      return {
+        async didEncounterErrors(requestContext) {
+          errors = requestContext.errors.map((error) => ({
+            message: error.message,
+            code: error.extensions?.code || "INTERNAL_SERVER_ERROR",
+            path: error.path,
+          }));
+        },
+        async executionDidStart() {
+          return {
+            willResolveField({ info }) {
+              const key = `${info.parentType.name}.${info.fieldName}`;
+
+              // Default resolvers - nothing interesting to measure
+              if (!resolvedFields.has(key)) {
+                return;
+              }
+
+              const fieldStart = process.hrtime.bigint();
+
+              return () => {
+                const duration = millisecondsSince(fieldStart);
+                const timing = resolvers[key] || {
+                  count: 0,
+                  totalMs: 0,
+                  maxMs: 0,
+                };
+
+                resolvers[key] = {
+                  count: timing.count + 1,
+                  totalMs: timing.totalMs + duration,
+                  maxMs: Math.max(timing.maxMs, duration),
+                };
+                resolverDuration.observe({ field: key }, duration / 1000);
+              };
+            },
+          };
+        },
+        async willSendResponse(requestContext) {
+          const duration = millisecondsSince(start);
+          const operationName =
+            requestContext.operationName || request.operationName || null;
+          const operationType = requestContext.operation?.operation || null;
+          const labels = {
+            operation_name: getOperationLabel(operationName, operationNames),
+            operation_type: operationType || "unknown",
+          };
+
+          operationsCounter.inc({
+            ...labels,
+            status: errors.length ? "error" : "success",
+          });
+          operationDuration.observe(labels, duration / 1000);
+          errors.forEach(({ code }) => errorsCounter.inc({ code }));
+
+          log({
+            level: errors.length ? "error" : "info",
+            message: "operation",
+            operationName,
+            operationType,
+            variables: redactVariables(
+              request.variables || {},
+              requestContext.document
+            ),
+            durationMs: _.round(duration, 2),
+            cacheHit: Boolean(requestContext.metrics.responseCacheHit),
+            resolvers: _.mapValues(resolvers, (timing) => ({
+              ...timing,
+              totalMs: _.round(timing.totalMs, 2),
+              maxMs: _.round(timing.maxMs, 2),
+            })),
+            errors,
+          });
+        },
+      };
+    },
+  };
+};
+
+module.exports = { createTelemetryPlugin, metricsRegistry };
@@ -0,0 +1,39 @@
+const { PubSub } = require("graphql-subscriptions");
+
+/**
+ * PubSub (publish/subscribe)
+ *
+ * Subscriptions are working like this:
+ * 1. The client opens a WebSocket connection and sends a subscription, f.e. "subscription { userCreated { id } }".
+ * 2. The subscription resolver (see Subscription in the resolvers of the schema modules) subscribes to an event (f.e. USER_CREATED) in the PubSub.
+ * 3. When a mutation changes some data, it publishes the event with the changed data - pubsub.publish(USER_CREATED, {...}).
+ * 4. PubSub passes the event to all the subscribers and the server sends the data to every subscribed client.
+ *
+ * Note: this PubSub keeps the subscribers in memory, so it works only with one server instance. If we run
+ * more instances, we need a PubSub backed by f.e. Redis, so the events get to the clients connected to other instances.
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/data/subscriptions/
+ */
+const pubsub = new PubSub();
+
+const USER_CREATED = "USER_CREATED";
+const USER_UPDATED = "USER_UPDATED";
+const USER_DELETED = "USER_DELETED";
+const MOVIE_CHANGED = "MOVIE_CHANGED";
+
+/**
+ * For the "subscribe" resolvers - the events published under the given names. The iterator of the PubSub
+ * is also an AsyncIterable (the resolver types need it), only graphql-subscriptions types it as an AsyncIterator.
+ * @returns {AsyncIterable<any>}
+ */
+const subscribeTo = (...eventNames) =>
+  /** @type {any} */ (pubsub.asyncIterator(eventNames));
+
+module.exports = {
+  pubsub,
+  USER_CREATED,
+  USER_UPDATED,
+  USER_DELETED,
+  MOVIE_CHANGED,
+  subscribeTo,
+};
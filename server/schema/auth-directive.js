@@ -0,0 +1,61 @@
+const { mapSchema, getDirective, MapperKind } = require("@graphql-tools/utils");
+const { defaultFieldResolver } = require("graphql");
+const { unauthenticated, forbidden } = require("../errors");
+
+/**
+ * The @auth schema directive
+ *
+ * Schema directives are annotations in the type definitions, which can change the behavior of the
+ * annotated part of the schema. In the .graphql files of the schema modules we can write:
+ *
+ * extend type Mutation {
+ *   deleteUser(id: ID!): User @auth(requires: [ADMIN, SUPERADMIN])
+ * }
+ *
+ * GraphQL itself doesn't know what "@auth" should do, it only knows that the directive exists
+ * (it has to be declared with the "directive @auth ..." definition in the type definitions). The behavior
+ * is added here - we go through all the fields of the schema and every field with the @auth directive
+ * gets its resolver wrapped with a check of the logged in user (context.currentUser, see index.js):
+ *
+ * - @auth - the user has to be logged in
+ * - @auth(requires: [ADMIN]) - the user has to be an Admin with one of the given roles
+ *
+ * If the check fails, the original resolver isn't executed at all.
+ *
+ * More info: https://the-guild.dev/graphql/tools/docs/schema-directives
+ */
+const assertAuthorized = (currentUser, requiredRoles) => {
+  if (!currentUser) {
+    throw unauthenticated();
+  }
+
+  if (requiredRoles && !requiredRoles.includes(currentUser.role)) {
+    throw forbidden(
+      `You must have one of these roles: ${requiredRoles.join(", ")}`
+    );
+  }
+};
+
+const authDirectiveTransformer = (schema, directiveName = "auth") =>
+  mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+      const authDirective = getDirective(
+        schema,
+        fieldConfig,
+        directiveName
+      )?.[0];
+
+      if (!authDirective) {
+        return fieldConfig;
+      }
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      fieldConfig.resolve = (source, args, context, info) => {
+        assertAuthorized(context.currentUser, authDirective.requires);
+        return resolve(source, args, context, info);
+      };
+      return fieldConfig;
+    },
+  });
+
+module.exports = { authDirectiveTransformer, assertAuthorized };
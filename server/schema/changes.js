@@ -0,0 +1,286 @@
+const {
+  parse,
+  validate,
+  visit,
+  visitWithTypeInfo,
+  TypeInfo,
+  getNamedType,
+  isAbstractType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isObjectType,
+  isIntrospectionType,
+  isSpecifiedScalarType,
+  isSpecifiedDirective,
+  findBreakingChanges,
+  findDangerousChanges,
+} = require("graphql");
+
+/**
+ * Schema changes
+ *
+ * Compares two versions of the schema and sorts the changes into three groups:
+ *
+ * - breaking - existing clients can fail, f.e. a removed field, a removed enum value or a nullable
+ *   argument changed to non-null
+ * - dangerous - existing clients keep working, but can get something they don't expect, f.e. a new enum
+ *   value the client doesn't know or a new type in a union
+ * - safe - f.e. a new type or a new field (the clients don't know about it, so they can't break)
+ *
+ * The breaking and dangerous changes are found by graphql-js itself (findBreakingChanges, findDangerousChanges),
+ * the safe ones by findSafeChanges below. Every change has the same shape - { type, description }, f.e.
+ * { type: "FIELD_REMOVED", description: "User.age was removed." }.
+ *
+ * Not every breaking change really breaks somebody - it matters only, if some client operation uses
+ * the changed part of the schema. So we also find the affected operations - see findAffectedOperations.
+ */
+
+// Built-in types and directives are the same in every schema
+const isCustomType = (type) =>
+  !isIntrospectionType(type) && !isSpecifiedScalarType(type);
+
+const findSafeChanges = (oldSchema, newSchema, breakingChanges) => {
+  const changes = [];
+  const breaking = new Set(breakingChanges.map((change) => change.description));
+  const oldTypes = oldSchema.getTypeMap();
+
+  Object.values(newSchema.getTypeMap())
+    .filter(isCustomType)
+    .forEach((newType) => {
+      const oldType = oldTypes[newType.name];
+
+      if (!oldType) {
+        changes.push({
+          type: "TYPE_ADDED",
+          description: `${newType.name} was added.`,
+        });
+        return;
+      }
+
+      if (
+        (isObjectType(newType) && isObjectType(oldType)) ||
+        (isInterfaceType(newType) && isInterfaceType(oldType))
+      ) {
+        const oldFields = oldType.getFields();
+
+        Object.values(newType.getFields()).forEach((newField) => {
+          const coordinate = `${newType.name}.${newField.name}`;
+          const oldField = oldFields[newField.name];
+
+          if (!oldField) {
+            changes.push({
+              type: "FIELD_ADDED",
+              description: `${coordinate} was added.`,
+            });
+            return;
+          }
+
+          // F.e. Int -> Int! - the client still gets an Int, only never null (the opposite is breaking)
+          const typeChange = `${coordinate} changed type from ${oldField.type} to ${newField.type}.`;
+          if (
+            String(oldField.type) !== String(newField.type) &&
+            !breaking.has(typeChange)
+          ) {
+            changes.push({
+              type: "FIELD_TYPE_CHANGED",
+              description: typeChange,
+            });
+          }
+
+          if (newField.deprecationReason && !oldField.deprecationReason) {
+            changes.push({
+              type: "FIELD_DEPRECATED",
+              description: `${coordinate} was deprecated: ${newField.deprecationReason}`,
+            });
+          }
+        });
+      }
+
+      if (isEnumType(newType) && isEnumType(oldType)) {
+        newType.getValues().forEach((newValue) => {
+          const oldValue = oldType.getValue(newValue.name);
+
+          if (
+            oldValue &&
+            newValue.deprecationReason &&
+            !oldValue.deprecationReason
+          ) {
+            changes.push({
+              type: "ENUM_VALUE_DEPRECATED",
+              description: `${newType.name}.${newValue.name} was deprecated: ${newValue.deprecationReason}`,
+            });
+          }
+        });
+      }
+    });
+
+  newSchema
+    .getDirectives()
+    .filter(
+      (directive) =>
+        !isSpecifiedDirective(directive) &&
+        !oldSchema.getDirective(directive.name)
+    )
+    .forEach((directive) =>
+      changes.push({
+        type: "DIRECTIVE_ADDED",
+        description: `@${directive.name} was added.`,
+      })
+    );
+
+  return changes;
+};
+
+const findSchemaChanges = (oldSchema, newSchema) => {
+  const breaking = findBreakingChanges(oldSchema, newSchema);
+
+  return {
+    breaking,
+    dangerous: findDangerousChanges(oldSchema, newSchema),
+    safe: findSafeChanges(oldSchema, newSchema, breaking),
+  };
+};
+
+/**
+ * Returns the schema coordinates the operation uses - the types (f.e. "User", "Nationality",
+ * "CreateUserInput") and the fields (f.e. "User.age", "CreateUserInput.age"). The operation is
+ * read with the old schema - the one the client was written against.
+ *
+ * A field selected on an interface or union (f.e. "Movie.name") is used on all its possible
+ * types too ("TvMovie.name", "TheaterMovie.name"). All the fields of the input types are counted
+ * as used, the client can send any of them in the variables.
+ */
+const collectSchemaUsage = (schema, document) => {
+  const usage = new Set();
+  const typeInfo = new TypeInfo(schema);
+
+  /** @param {import("graphql").GraphQLInputType} type */
+  const addInputType = (type) => {
+    const namedType = getNamedType(type);
+
+    if (!namedType || usage.has(namedType.name)) {
+      return;
+    }
+
+    usage.add(namedType.name);
+
+    if (isInputObjectType(namedType)) {
+      Object.values(namedType.getFields()).forEach((field) => {
+        usage.add(`${namedType.name}.${field.name}`);
+        addInputType(field.type);
+      });
+    }
+  };
+
+  visit(
+    document,
+    visitWithTypeInfo(typeInfo, {
+      Field() {
+        const parentType = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+
+        if (!parentType || !fieldDef) {
+          return;
+        }
+
+        const fieldName = fieldDef.name;
+        usage.add(`${parentType.name}.${fieldName}`);
+        usage.add(getNamedType(fieldDef.type).name);
+
+        if (isAbstractType(parentType)) {
+          schema
+            .getPossibleTypes(parentType)
+            .forEach((type) => usage.add(`${type.name}.${fieldName}`));
+        }
+      },
+      InlineFragment(node) {
+        if (node.typeCondition) {
+          usage.add(node.typeCondition.name.value);
+        }
+      },
+      FragmentDefinition(node) {
+        usage.add(node.typeCondition.name.value);
+      },
+      Argument() {
+        addInputType(typeInfo.getInputType());
+      },
+      VariableDefinition() {
+        addInputType(typeInfo.getInputType());
+      },
+    })
+  );
+
+  return usage;
+};
+
+/**
+ * Which part of the schema the change is about - f.e. "User.age" for "User.age was removed." or
+ * "Nationality" for "BRAZIL was removed from enum type Nationality.". The descriptions are created
+ * by graphql-js (and findSafeChanges), every change type has its own format.
+ */
+const CHANGED_COORDINATE = {
+  TYPE_REMOVED: /^(\w+) was removed/,
+  TYPE_CHANGED_KIND: /^(\w+) changed from/,
+  TYPE_REMOVED_FROM_UNION: /union type (\w+)/,
+  TYPE_ADDED_TO_UNION: /union type (\w+)/,
+  VALUE_REMOVED_FROM_ENUM: /enum type (\w+)/,
+  VALUE_ADDED_TO_ENUM: /enum type (\w+)/,
+  REQUIRED_INPUT_FIELD_ADDED: /input type (\w+)/,
+  OPTIONAL_INPUT_FIELD_ADDED: /input type (\w+)/,
+  IMPLEMENTED_INTERFACE_REMOVED: /^(\w+) no longer implements/,
+  IMPLEMENTED_INTERFACE_ADDED: /implemented by (\w+)/,
+  FIELD_REMOVED: /^(\w+\.\w+)/,
+  FIELD_CHANGED_KIND: /^(\w+\.\w+)/,
+  REQUIRED_ARG_ADDED: /on (\w+\.\w+)/,
+  OPTIONAL_ARG_ADDED: /on (\w+\.\w+)/,
+  ARG_REMOVED: /^(\w+\.\w+)/,
+  ARG_CHANGED_KIND: /^(\w+\.\w+)/,
+  ARG_DEFAULT_VALUE_CHANGE: /^(\w+\.\w+)/,
+  FIELD_DEPRECATED: /^(\w+\.\w+)/,
+  ENUM_VALUE_DEPRECATED: /^(\w+)\./,
+};
+
+const getChangedCoordinate = (change) => {
+  const pattern = CHANGED_COORDINATE[change.type];
+  const match = pattern && change.description.match(pattern);
+  return match ? match[1] : null;
+};
+
+/**
+ * Returns the names of the operations using the changed part of the schema.
+ * "operations" - the client operations ({ name, body }), "oldSchema" - the schema they were written against.
+ */
+const findAffectedOperations = (change, operations, oldSchema) => {
+  const coordinate = getChangedCoordinate(change);
+
+  if (!coordinate) {
+    return [];
+  }
+
+  return operations
+    .filter(({ body }) =>
+      collectSchemaUsage(oldSchema, parse(body)).has(coordinate)
+    )
+    .map(({ name }) => name);
+};
+
+/**
+ * Validates the client operations against the new schema - f.e. a removed field or a removed enum value
+ * sent as a literal makes the operation invalid, the server would reject it without executing.
+ * Returns only the invalid operations - [{ name, errors: ["Cannot query field ..."] }].
+ */
+const findInvalidOperations = (operations, newSchema) =>
+  operations
+    .map(({ name, body }) => ({
+      name,
+      errors: validate(newSchema, parse(body)).map((error) => error.message),
+    }))
+    .filter(({ errors }) => errors.length > 0);
+
+module.exports = {
+  findSchemaChanges,
+  collectSchemaUsage,
+  findAffectedOperations,
+  findInvalidOperations,
+};
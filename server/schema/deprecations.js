@@ -0,0 +1,178 @@
+const {
+  visit,
+  visitWithTypeInfo,
+  TypeInfo,
+  Kind,
+  typeFromAST,
+  getNamedType,
+  getNullableType,
+  isEnumType,
+  isInputObjectType,
+  isListType,
+  isIntrospectionType,
+} = require("graphql");
+
+/**
+ * Deprecations
+ *
+ * A field, argument, input field or enum value can be marked with the built-in @deprecated directive, f.e.
+ *
+ * updateUsername(input: UpdateUsernameInput!): User @deprecated(reason: "Use updateUser")
+ *
+ * The deprecated parts keep working, only the tools (IDE, codegen, GraphQL playground) warn the developers
+ * not to use them anymore. They can be removed from the schema, when no client uses them - so we track
+ * which clients are still using them (see plugins/deprecation-usage.js).
+ *
+ * The deprecated parts are identified by the schema coordinates:
+ * - "Mutation.updateUsername" - a field
+ * - "Query.users(filter:)" - an argument
+ * - "UsersFilter.minAge" - an input field
+ * - "Nationality.BRAZIL" - an enum value
+ *
+ * Note: only the nullable (or default valued) arguments and input fields can be deprecated - the client
+ * must be able to stop sending them.
+ */
+
+/**
+ * Returns all the deprecated parts of the schema - [{ coordinate, reason }].
+ */
+const findDeprecations = (schema) =>
+  Object.values(schema.getTypeMap())
+    .filter((type) => !isIntrospectionType(type))
+    .flatMap((type) => {
+      if (isEnumType(type)) {
+        return type.getValues().map((value) => ({
+          coordinate: `${type.name}.${value.name}`,
+          reason: value.deprecationReason,
+        }));
+      }
+
+      if (!type.getFields) {
+        return [];
+      }
+
+      return Object.values(type.getFields()).flatMap((field) => [
+        {
+          coordinate: `${type.name}.${field.name}`,
+          reason: field.deprecationReason,
+        },
+        ...(field.args || []).map((arg) => ({
+          coordinate: `${type.name}.${field.name}(${arg.name}:)`,
+          reason: arg.deprecationReason,
+        })),
+      ]);
+    })
+    .filter(({ reason }) => reason != null);
+
+/**
+ * Walks the value of a variable by its type and returns the deprecated input fields and enum values in it.
+ * F.e. { minAge: 20 } of the UsersFilter type => ["UsersFilter.minAge"], if the minAge is deprecated.
+ */
+const collectFromValue = (type, value, coordinates = []) => {
+  const nullableType = getNullableType(type);
+
+  if (value == null) {
+    return coordinates;
+  }
+
+  if (isListType(nullableType)) {
+    // A single value is accepted for a list too (input coercion)
+    const items = Array.isArray(value) ? value : [value];
+    items.forEach((item) =>
+      collectFromValue(nullableType.ofType, item, coordinates)
+    );
+    return coordinates;
+  }
+
+  if (isInputObjectType(nullableType) && typeof value === "object") {
+    const fields = nullableType.getFields();
+
+    Object.entries(value).forEach(([name, fieldValue]) => {
+      const field = fields[name];
+
+      if (!field) {
+        return;
+      }
+
+      if (field.deprecationReason != null) {
+        coordinates.push(`${nullableType.name}.${name}`);
+      }
+      collectFromValue(field.type, fieldValue, coordinates);
+    });
+  }
+
+  if (isEnumType(nullableType)) {
+    const enumValue = nullableType.getValue(value);
+
+    if (enumValue?.deprecationReason != null) {
+      coordinates.push(`${nullableType.name}.${value}`);
+    }
+  }
+
+  return coordinates;
+};
+
+/**
+ * Returns the coordinates of the deprecated parts used by the operation - in its selections (and the fragments),
+ * in the arguments and in the variables. Every coordinate is returned only once.
+ */
+const collectDeprecatedUsage = ({ schema, document, operation, variables }) => {
+  const coordinates = [];
+  const typeInfo = new TypeInfo(schema);
+  const fragments = document.definitions.filter(
+    (definition) => definition.kind === Kind.FRAGMENT_DEFINITION
+  );
+
+  visit(
+    { kind: Kind.DOCUMENT, definitions: [operation, ...fragments] },
+    visitWithTypeInfo(typeInfo, {
+      Field() {
+        const parentType = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+
+        if (fieldDef?.deprecationReason != null) {
+          coordinates.push(`${parentType.name}.${fieldDef.name}`);
+        }
+      },
+      Argument() {
+        const parentType = typeInfo.getParentType();
+        const fieldDef = typeInfo.getFieldDef();
+        const arg = typeInfo.getArgument();
+
+        if (fieldDef && arg?.deprecationReason != null) {
+          coordinates.push(`${parentType.name}.${fieldDef.name}(${arg.name}:)`);
+        }
+      },
+      ObjectField(node) {
+        const inputType = getNamedType(typeInfo.getParentInputType());
+        const field =
+          isInputObjectType(inputType) &&
+          inputType.getFields()[node.name.value];
+
+        if (field && field.deprecationReason != null) {
+          coordinates.push(`${inputType.name}.${field.name}`);
+        }
+      },
+      EnumValue() {
+        const enumType = getNamedType(typeInfo.getInputType());
+        const enumValue = typeInfo.getEnumValue();
+
+        if (enumValue?.deprecationReason != null) {
+          coordinates.push(`${enumType.name}.${enumValue.name}`);
+        }
+      },
+    })
+  );
+
+  (operation.variableDefinitions || []).forEach((definition) => {
+    collectFromValue(
+      typeFromAST(schema, definition.type),
+      (variables || {})[definition.variable.name.value],
+      coordinates
+    );
+  });
+
+  return [...new Set(coordinates)];
+};
+
+module.exports = { findDeprecations, collectDeprecatedUsage };
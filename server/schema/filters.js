@@ -0,0 +1,127 @@
+const _ = require("lodash");
+
+/**
+ * Filtering and sorting of the list queries
+ *
+ * The "filter" and "orderBy" arguments are input objects (see UsersFilter, MoviesFilter, UsersOrderBy
+ * and MoviesOrderBy in the .graphql files of schema/modules). Every field of a filter is optional - the filter conditions
+ * are combined with AND, so only the items matching all the given conditions are returned.
+ *
+ * Filtering and sorting are done BEFORE the pagination, so "totalCount" of the connection
+ * is the count of the filtered items and cursors are pointing into the filtered list.
+ */
+const containsIgnoreCase = (value, search) =>
+  String(value).toLowerCase().includes(search.toLowerCase());
+
+const filterUsers = (users, filter) => {
+  if (!filter) {
+    return users;
+  }
+
+  const { nationality, minAge, maxAge, usernameContains } = filter;
+
+  return users.filter(
+    (user) =>
+      (nationality == null || user.nationality === nationality) &&
+      (minAge == null || (user.age != null && user.age >= minAge)) &&
+      (maxAge == null || (user.age != null && user.age <= maxAge)) &&
+      (usernameContains == null ||
+        containsIgnoreCase(user.username, usernameContains))
+  );
+};
+
+const MOVIE_TYPES = {
+  TV_MOVIE: (movie) => Boolean(movie.yearFirstAired),
+  THEATER_MOVIE: (movie) => !movie.yearFirstAired,
+};
+
+const filterMovies = (movies, filter) => {
+  if (!filter) {
+    return movies;
+  }
+
+  const { yearFrom, yearTo, type, nameContains } = filter;
+
+  return movies.filter(
+    (movie) =>
+      (yearFrom == null || movie.yearOfPublication >= yearFrom) &&
+      (yearTo == null || movie.yearOfPublication <= yearTo) &&
+      (type == null || MOVIE_TYPES[type](movie)) &&
+      (nameContains == null || containsIgnoreCase(movie.name, nameContains))
+  );
+};
+
+/**
+ * Mapping of the XxxOrderField enum values to the record properties.
+ */
+const USER_ORDER_FIELDS = {
+  ID: "id",
+  NAME: "name",
+  USERNAME: "username",
+  AGE: "age",
+};
+
+const MOVIE_ORDER_FIELDS = {
+  ID: "id",
+  NAME: "name",
+  YEAR_OF_PUBLICATION: "yearOfPublication",
+};
+
+/**
+ * Items without the sorted property (f.e. Admin-s don't have an "age") are always at the end.
+ * Strings are compared case-insensitively.
+ */
+const sortItems = (items, orderBy, fields) => {
+  if (!orderBy) {
+    return items;
+  }
+
+  const property = fields[orderBy.field];
+  const direction = orderBy.direction === "DESC" ? "desc" : "asc";
+  const [withValue, withoutValue] = _.partition(
+    items,
+    (item) => item[property] != null
+  );
+
+  return [
+    ..._.orderBy(
+      withValue,
+      [
+        (item) =>
+          typeof item[property] === "string"
+            ? item[property].toLowerCase()
+            : item[property],
+      ],
+      [direction]
+    ),
+    ...withoutValue,
+  ];
+};
+
+const sortUsers = (users, orderBy) =>
+  sortItems(users, orderBy, USER_ORDER_FIELDS);
+
+const sortMovies = (movies, orderBy) =>
+  sortItems(movies, orderBy, MOVIE_ORDER_FIELDS);
+
+/**
+ * Case-insensitive search of a movie by its name. The exact name match wins,
+ * otherwise the first movie containing the searched text in its name is returned.
+ */
+const findMovieByName = (movies, name) => {
+  const exactMatch = movies.find(
+    (movie) => movie.name.toLowerCase() === name.toLowerCase()
+  );
+
+  return (
+    exactMatch || movies.find((movie) => containsIgnoreCase(movie.name, name))
+  );
+};
+
+module.exports = {
+  filterUsers,
+  filterMovies,
+  sortUsers,
+  sortMovies,
+  findMovieByName,
+};
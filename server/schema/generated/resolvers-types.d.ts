@@ -0,0 +1,1034 @@
+import { GraphQLResolveInfo, GraphQLScalarType, GraphQLScalarTypeConfig } from 'graphql';
+import { UserRecord, AdminRecord, MovieRecord, AuditLogRecord, DeprecatedUsageRecord, Context } from '../../types';
+export type Maybe<T> = T | null;
+export type InputMaybe<T> = Maybe<T>;
+export type Exact<T extends { [key: string]: unknown }> = { [K in keyof T]: T[K] };
+export type MakeOptional<T, K extends keyof T> = Omit<T, K> & { [SubKey in K]?: Maybe<T[SubKey]> };
+export type MakeMaybe<T, K extends keyof T> = Omit<T, K> & { [SubKey in K]: Maybe<T[SubKey]> };
+export type MakeEmpty<T extends { [key: string]: unknown }, K extends keyof T> = { [_ in K]?: never };
+export type Incremental<T> = T | { [P in keyof T]?: P extends ' $fragmentName' | '__typename' ? T[P] : never };
+export type Omit<T, K extends keyof T> = Pick<T, Exclude<keyof T, K>>;
+export type RequireFields<T, K extends keyof T> = Omit<T, K> & { [P in K]-?: NonNullable<T[P]> };
+/** All built-in and custom scalars, mapped to their actual values */
+export type Scalars = {
+  ID: { input: string; output: string; }
+  String: { input: string; output: string; }
+  Boolean: { input: boolean; output: boolean; }
+  Int: { input: number; output: number; }
+  Float: { input: number; output: number; }
+  Date: { input: string; output: string; }
+  DateTime: { input: string; output: string; }
+  EmailAddress: { input: string; output: string; }
+  JSON: { input: unknown; output: unknown; }
+  NonNegativeInt: { input: number; output: number; }
+};
+
+export type Admin = Node & {
+  __typename?: 'Admin';
+  createdAt: Scalars['DateTime']['output'];
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  role: AdminRole;
+  updatedAt: Scalars['DateTime']['output'];
+  username: Scalars['String']['output'];
+};
+
+export type AdminConnection = {
+  __typename?: 'AdminConnection';
+  edges: Array<AdminEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type AdminEdge = {
+  __typename?: 'AdminEdge';
+  cursor: Scalars['String']['output'];
+  node: Admin;
+};
+
+export type AdminRole =
+  | 'ADMIN'
+  | 'SUPERADMIN';
+
+export type AuditAction =
+  | 'CREATED'
+  | 'DELETED'
+  | 'RESTORED'
+  | 'UPDATED';
+
+export type AuditLogEntry = {
+  __typename?: 'AuditLogEntry';
+  action: AuditAction;
+  actor?: Maybe<UserAdmin>;
+  after?: Maybe<Scalars['JSON']['output']>;
+  before?: Maybe<Scalars['JSON']['output']>;
+  createdAt: Scalars['DateTime']['output'];
+  entity: Scalars['String']['output'];
+  entityId: Scalars['ID']['output'];
+  id: Scalars['ID']['output'];
+};
+
+export type AuditLogEntryConnection = {
+  __typename?: 'AuditLogEntryConnection';
+  edges: Array<AuditLogEntryEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type AuditLogEntryEdge = {
+  __typename?: 'AuditLogEntryEdge';
+  cursor: Scalars['String']['output'];
+  node: AuditLogEntry;
+};
+
+export type AuthPayload = {
+  __typename?: 'AuthPayload';
+  token: Scalars['String']['output'];
+  user: UserAdmin;
+};
+
+export type CacheControlScope =
+  | 'PRIVATE'
+  | 'PUBLIC';
+
+export type ChangeAction =
+  | 'CREATED'
+  | 'DELETED'
+  | 'UPDATED';
+
+export type CreateAdminInput = {
+  name: Scalars['String']['input'];
+  password?: InputMaybe<Scalars['String']['input']>;
+  role?: AdminRole;
+  username: Scalars['String']['input'];
+};
+
+export type CreateMovieInput = {
+  isInTheaters?: InputMaybe<Scalars['Boolean']['input']>;
+  name: Scalars['String']['input'];
+  releaseDate?: InputMaybe<Scalars['Date']['input']>;
+  type: MovieType;
+  yearFirstAired?: InputMaybe<Scalars['Int']['input']>;
+  yearOfPublication: Scalars['Int']['input'];
+};
+
+export type CreateUserInput = {
+  age: Scalars['NonNegativeInt']['input'];
+  email?: InputMaybe<Scalars['EmailAddress']['input']>;
+  name: Scalars['String']['input'];
+  nationality?: InputMaybe<Nationality>;
+  password?: InputMaybe<Scalars['String']['input']>;
+  username: Scalars['String']['input'];
+};
+
+export type DeprecatedClientUsage = {
+  __typename?: 'DeprecatedClientUsage';
+  clientName?: Maybe<Scalars['String']['output']>;
+  clientVersion?: Maybe<Scalars['String']['output']>;
+  count: Scalars['Int']['output'];
+  firstUsedAt: Scalars['DateTime']['output'];
+  lastUsedAt: Scalars['DateTime']['output'];
+  operationName?: Maybe<Scalars['String']['output']>;
+};
+
+export type DeprecatedUsage = {
+  __typename?: 'DeprecatedUsage';
+  clients: Array<DeprecatedClientUsage>;
+  coordinate: Scalars['String']['output'];
+  lastUsedAt?: Maybe<Scalars['DateTime']['output']>;
+  reason: Scalars['String']['output'];
+  totalCount: Scalars['Int']['output'];
+};
+
+export type FavoriteMovieInput = {
+  movieId: Scalars['ID']['input'];
+  userId: Scalars['ID']['input'];
+};
+
+export type FriendshipInput = {
+  friendId: Scalars['ID']['input'];
+  userId: Scalars['ID']['input'];
+};
+
+export type Movie = {
+  createdAt: Scalars['DateTime']['output'];
+  favoritedBy: Array<User>;
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  releaseDate?: Maybe<Scalars['Date']['output']>;
+  updatedAt: Scalars['DateTime']['output'];
+  yearOfPublication: Scalars['Int']['output'];
+};
+
+export type MovieChangedEvent = {
+  __typename?: 'MovieChangedEvent';
+  action: ChangeAction;
+  movie: Movie;
+};
+
+export type MovieConnection = {
+  __typename?: 'MovieConnection';
+  edges: Array<MovieEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type MovieEdge = {
+  __typename?: 'MovieEdge';
+  cursor: Scalars['String']['output'];
+  node: Movie;
+};
+
+export type MovieOrderField =
+  | 'ID'
+  | 'NAME'
+  | 'YEAR_OF_PUBLICATION';
+
+export type MovieType =
+  | 'THEATER_MOVIE'
+  | 'TV_MOVIE';
+
+export type MoviesFilter = {
+  nameContains?: InputMaybe<Scalars['String']['input']>;
+  type?: InputMaybe<MovieType>;
+  yearFrom?: InputMaybe<Scalars['Int']['input']>;
+  yearTo?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type MoviesOrderBy = {
+  direction?: InputMaybe<OrderDirection>;
+  field: MovieOrderField;
+};
+
+export type Mutation = {
+  __typename?: 'Mutation';
+  addFavoriteMovie?: Maybe<User>;
+  addFriend?: Maybe<User>;
+  createAdmin?: Maybe<Admin>;
+  createMovie?: Maybe<Movie>;
+  createUser?: Maybe<User>;
+  deleteAdmin?: Maybe<Admin>;
+  deleteMovie?: Maybe<Movie>;
+  deleteUser?: Maybe<User>;
+  login: AuthPayload;
+  removeFavoriteMovie?: Maybe<User>;
+  removeFriend?: Maybe<User>;
+  restoreUser?: Maybe<User>;
+  updateAdminRole?: Maybe<Admin>;
+  updateMovie?: Maybe<Movie>;
+  updateUser?: Maybe<User>;
+  /** @deprecated Use updateUser */
+  updateUsername?: Maybe<User>;
+};
+
+
+export type MutationAddFavoriteMovieArgs = {
+  input: FavoriteMovieInput;
+};
+
+
+export type MutationAddFriendArgs = {
+  input: FriendshipInput;
+};
+
+
+export type MutationCreateAdminArgs = {
+  input: CreateAdminInput;
+};
+
+
+export type MutationCreateMovieArgs = {
+  input: CreateMovieInput;
+};
+
+
+export type MutationCreateUserArgs = {
+  input: CreateUserInput;
+};
+
+
+export type MutationDeleteAdminArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationDeleteMovieArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationDeleteUserArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationLoginArgs = {
+  password: Scalars['String']['input'];
+  username: Scalars['String']['input'];
+};
+
+
+export type MutationRemoveFavoriteMovieArgs = {
+  input: FavoriteMovieInput;
+};
+
+
+export type MutationRemoveFriendArgs = {
+  input: FriendshipInput;
+};
+
+
+export type MutationRestoreUserArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type MutationUpdateAdminRoleArgs = {
+  input: UpdateAdminRoleInput;
+};
+
+
+export type MutationUpdateMovieArgs = {
+  input: UpdateMovieInput;
+};
+
+
+export type MutationUpdateUserArgs = {
+  input: UpdateUserInput;
+};
+
+
+export type MutationUpdateUsernameArgs = {
+  input: UpdateUsernameInput;
+};
+
+export type Nationality =
+  | 'BRAZIL'
+  | 'CANADA'
+  | 'CHILE'
+  | 'GERMANY'
+  | 'HUNGARY'
+  | 'INDIA'
+  | 'SLOVAKIA'
+  | 'UKRAINE';
+
+export type Node = {
+  id: Scalars['ID']['output'];
+};
+
+export type OrderDirection =
+  | 'ASC'
+  | 'DESC';
+
+export type PageInfo = {
+  __typename?: 'PageInfo';
+  endCursor?: Maybe<Scalars['String']['output']>;
+  hasNextPage: Scalars['Boolean']['output'];
+  hasPreviousPage: Scalars['Boolean']['output'];
+  startCursor?: Maybe<Scalars['String']['output']>;
+};
+
+export type Query = {
+  __typename?: 'Query';
+  admin: Admin;
+  admins: AdminConnection;
+  auditLog: AuditLogEntryConnection;
+  deprecatedUsage: Array<DeprecatedUsage>;
+  me?: Maybe<UserAdmin>;
+  movie: Movie;
+  movies: MovieConnection;
+  node?: Maybe<Node>;
+  nodes: Array<Maybe<Node>>;
+  user: User;
+  users: UserAdminConnection;
+};
+
+
+export type QueryAdminArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type QueryAdminsArgs = {
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+};
+
+
+export type QueryAuditLogArgs = {
+  actorId?: InputMaybe<Scalars['ID']['input']>;
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  entityId?: InputMaybe<Scalars['ID']['input']>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+};
+
+
+export type QueryMovieArgs = {
+  name: Scalars['String']['input'];
+};
+
+
+export type QueryMoviesArgs = {
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  filter?: InputMaybe<MoviesFilter>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<MoviesOrderBy>;
+};
+
+
+export type QueryNodeArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type QueryNodesArgs = {
+  ids: Array<Scalars['ID']['input']>;
+};
+
+
+export type QueryUserArgs = {
+  id: Scalars['ID']['input'];
+};
+
+
+export type QueryUsersArgs = {
+  after?: InputMaybe<Scalars['String']['input']>;
+  before?: InputMaybe<Scalars['String']['input']>;
+  filter?: InputMaybe<UsersFilter>;
+  first?: InputMaybe<Scalars['Int']['input']>;
+  includeDeleted?: InputMaybe<Scalars['Boolean']['input']>;
+  last?: InputMaybe<Scalars['Int']['input']>;
+  orderBy?: InputMaybe<UsersOrderBy>;
+};
+
+export type Subscription = {
+  __typename?: 'Subscription';
+  movieChanged: MovieChangedEvent;
+  userCreated: User;
+  userDeleted: Scalars['ID']['output'];
+  userUpdated: User;
+};
+
+export type TheaterMovie = Movie & Node & {
+  __typename?: 'TheaterMovie';
+  createdAt: Scalars['DateTime']['output'];
+  favoritedBy: Array<User>;
+  id: Scalars['ID']['output'];
+  isInTheaters: Scalars['Boolean']['output'];
+  name: Scalars['String']['output'];
+  releaseDate?: Maybe<Scalars['Date']['output']>;
+  updatedAt: Scalars['DateTime']['output'];
+  yearOfPublication: Scalars['Int']['output'];
+};
+
+export type TvMovie = Movie & Node & {
+  __typename?: 'TvMovie';
+  createdAt: Scalars['DateTime']['output'];
+  favoritedBy: Array<User>;
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  releaseDate?: Maybe<Scalars['Date']['output']>;
+  updatedAt: Scalars['DateTime']['output'];
+  yearFirstAired: Scalars['Int']['output'];
+  yearOfPublication: Scalars['Int']['output'];
+};
+
+export type UpdateAdminRoleInput = {
+  id: Scalars['ID']['input'];
+  role: AdminRole;
+};
+
+export type UpdateMovieInput = {
+  id: Scalars['ID']['input'];
+  isInTheaters?: InputMaybe<Scalars['Boolean']['input']>;
+  name?: InputMaybe<Scalars['String']['input']>;
+  releaseDate?: InputMaybe<Scalars['Date']['input']>;
+  yearFirstAired?: InputMaybe<Scalars['Int']['input']>;
+  yearOfPublication?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type UpdateUserInput = {
+  age?: InputMaybe<Scalars['NonNegativeInt']['input']>;
+  email?: InputMaybe<Scalars['EmailAddress']['input']>;
+  id: Scalars['ID']['input'];
+  name?: InputMaybe<Scalars['String']['input']>;
+  nationality?: InputMaybe<Nationality>;
+  username?: InputMaybe<Scalars['String']['input']>;
+  version?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type UpdateUsernameInput = {
+  id: Scalars['ID']['input'];
+  newUsername: Scalars['String']['input'];
+  version?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type User = Node & {
+  __typename?: 'User';
+  age?: Maybe<Scalars['NonNegativeInt']['output']>;
+  createdAt: Scalars['DateTime']['output'];
+  deletedAt?: Maybe<Scalars['DateTime']['output']>;
+  email?: Maybe<Scalars['EmailAddress']['output']>;
+  favoriteMovies?: Maybe<Array<Movie>>;
+  friends?: Maybe<Array<User>>;
+  id: Scalars['ID']['output'];
+  name: Scalars['String']['output'];
+  nationality: Nationality;
+  updatedAt: Scalars['DateTime']['output'];
+  username: Scalars['String']['output'];
+  version: Scalars['Int']['output'];
+};
+
+export type UserAdmin = Admin | User;
+
+export type UserAdminConnection = {
+  __typename?: 'UserAdminConnection';
+  edges: Array<UserAdminEdge>;
+  pageInfo: PageInfo;
+  totalCount: Scalars['Int']['output'];
+};
+
+export type UserAdminEdge = {
+  __typename?: 'UserAdminEdge';
+  cursor: Scalars['String']['output'];
+  node: UserAdmin;
+};
+
+export type UserOrderField =
+  | 'AGE'
+  | 'ID'
+  | 'NAME'
+  | 'USERNAME';
+
+export type UsersFilter = {
+  maxAge?: InputMaybe<Scalars['NonNegativeInt']['input']>;
+  minAge?: InputMaybe<Scalars['NonNegativeInt']['input']>;
+  nationality?: InputMaybe<Nationality>;
+  usernameContains?: InputMaybe<Scalars['String']['input']>;
+};
+
+export type UsersOrderBy = {
+  direction?: InputMaybe<OrderDirection>;
+  field: UserOrderField;
+};
+
+export type WithIndex<TObject> = TObject & Record<string, any>;
+export type ResolversObject<TObject> = WithIndex<TObject>;
+
+export type ResolverTypeWrapper<T> = Promise<T> | T;
+
+
+export type ResolverWithResolve<TResult, TParent, TContext, TArgs> = {
+  resolve: ResolverFn<TResult, TParent, TContext, TArgs>;
+};
+export type Resolver<TResult, TParent = {}, TContext = {}, TArgs = {}> = ResolverFn<TResult, TParent, TContext, TArgs> | ResolverWithResolve<TResult, TParent, TContext, TArgs>;
+
+export type ResolverFn<TResult, TParent, TContext, TArgs> = (
+  parent: TParent,
+  args: TArgs,
+  context: TContext,
+  info: GraphQLResolveInfo
+) => Promise<TResult> | TResult;
+
+export type SubscriptionSubscribeFn<TResult, TParent, TContext, TArgs> = (
+  parent: TParent,
+  args: TArgs,
+  context: TContext,
+  info: GraphQLResolveInfo
+) => AsyncIterable<TResult> | Promise<AsyncIterable<TResult>>;
+
+export type SubscriptionResolveFn<TResult, TParent, TContext, TArgs> = (
+  parent: TParent,
+  args: TArgs,
+  context: TContext,
+  info: GraphQLResolveInfo
+) => TResult | Promise<TResult>;
+
+export interface SubscriptionSubscriberObject<TResult, TKey extends string, TParent, TContext, TArgs> {
+  subscribe: SubscriptionSubscribeFn<{ [key in TKey]: TResult }, TParent, TContext, TArgs>;
+  resolve?: SubscriptionResolveFn<TResult, { [key in TKey]: TResult }, TContext, TArgs>;
+}
+
+export interface SubscriptionResolverObject<TResult, TParent, TContext, TArgs> {
+  subscribe: SubscriptionSubscribeFn<any, TParent, TContext, TArgs>;
+  resolve: SubscriptionResolveFn<TResult, any, TContext, TArgs>;
+}
+
+export type SubscriptionObject<TResult, TKey extends string, TParent, TContext, TArgs> =
+  | SubscriptionSubscriberObject<TResult, TKey, TParent, TContext, TArgs>
+  | SubscriptionResolverObject<TResult, TParent, TContext, TArgs>;
+
+export type SubscriptionResolver<TResult, TKey extends string, TParent = {}, TContext = {}, TArgs = {}> =
+  | ((...args: any[]) => SubscriptionObject<TResult, TKey, TParent, TContext, TArgs>)
+  | SubscriptionObject<TResult, TKey, TParent, TContext, TArgs>;
+
+export type TypeResolveFn<TTypes, TParent = {}, TContext = {}> = (
+  parent: TParent,
+  context: TContext,
+  info: GraphQLResolveInfo
+) => Maybe<TTypes> | Promise<Maybe<TTypes>>;
+
+export type IsTypeOfResolverFn<T = {}, TContext = {}> = (obj: T, context: TContext, info: GraphQLResolveInfo) => boolean | Promise<boolean>;
+
+export type NextResolverFn<T> = () => Promise<T>;
+
+export type DirectiveResolverFn<TResult = {}, TParent = {}, TContext = {}, TArgs = {}> = (
+  next: NextResolverFn<TResult>,
+  parent: TParent,
+  args: TArgs,
+  context: TContext,
+  info: GraphQLResolveInfo
+) => TResult | Promise<TResult>;
+
+/** Mapping of union types */
+export type ResolversUnionTypes<_RefType extends Record<string, unknown>> = ResolversObject<{
+  UserAdmin: ( AdminRecord ) | ( UserRecord );
+}>;
+
+/** Mapping of interface types */
+export type ResolversInterfaceTypes<_RefType extends Record<string, unknown>> = ResolversObject<{
+  Movie: ( MovieRecord ) | ( MovieRecord );
+  Node: ( AdminRecord ) | ( MovieRecord ) | ( MovieRecord ) | ( UserRecord );
+}>;
+
+/** Mapping between all available schema types and the resolvers types */
+export type ResolversTypes = ResolversObject<{
+  Admin: ResolverTypeWrapper<AdminRecord>;
+  AdminConnection: ResolverTypeWrapper<Omit<AdminConnection, 'edges'> & { edges: Array<ResolversTypes['AdminEdge']> }>;
+  AdminEdge: ResolverTypeWrapper<Omit<AdminEdge, 'node'> & { node: ResolversTypes['Admin'] }>;
+  AdminRole: AdminRole;
+  AuditAction: AuditAction;
+  AuditLogEntry: ResolverTypeWrapper<AuditLogRecord>;
+  AuditLogEntryConnection: ResolverTypeWrapper<Omit<AuditLogEntryConnection, 'edges'> & { edges: Array<ResolversTypes['AuditLogEntryEdge']> }>;
+  AuditLogEntryEdge: ResolverTypeWrapper<Omit<AuditLogEntryEdge, 'node'> & { node: ResolversTypes['AuditLogEntry'] }>;
+  AuthPayload: ResolverTypeWrapper<Omit<AuthPayload, 'user'> & { user: ResolversTypes['UserAdmin'] }>;
+  Boolean: ResolverTypeWrapper<Scalars['Boolean']['output']>;
+  CacheControlScope: CacheControlScope;
+  ChangeAction: ChangeAction;
+  CreateAdminInput: CreateAdminInput;
+  CreateMovieInput: CreateMovieInput;
+  CreateUserInput: CreateUserInput;
+  Date: ResolverTypeWrapper<Scalars['Date']['output']>;
+  DateTime: ResolverTypeWrapper<Scalars['DateTime']['output']>;
+  DeprecatedClientUsage: ResolverTypeWrapper<DeprecatedUsageRecord>;
+  DeprecatedUsage: ResolverTypeWrapper<Omit<DeprecatedUsage, 'clients'> & { clients: Array<ResolversTypes['DeprecatedClientUsage']> }>;
+  EmailAddress: ResolverTypeWrapper<Scalars['EmailAddress']['output']>;
+  FavoriteMovieInput: FavoriteMovieInput;
+  Float: ResolverTypeWrapper<Scalars['Float']['output']>;
+  FriendshipInput: FriendshipInput;
+  ID: ResolverTypeWrapper<Scalars['ID']['output']>;
+  Int: ResolverTypeWrapper<Scalars['Int']['output']>;
+  JSON: ResolverTypeWrapper<Scalars['JSON']['output']>;
+  Movie: ResolverTypeWrapper<MovieRecord>;
+  MovieChangedEvent: ResolverTypeWrapper<Omit<MovieChangedEvent, 'movie'> & { movie: ResolversTypes['Movie'] }>;
+  MovieConnection: ResolverTypeWrapper<Omit<MovieConnection, 'edges'> & { edges: Array<ResolversTypes['MovieEdge']> }>;
+  MovieEdge: ResolverTypeWrapper<Omit<MovieEdge, 'node'> & { node: ResolversTypes['Movie'] }>;
+  MovieOrderField: MovieOrderField;
+  MovieType: MovieType;
+  MoviesFilter: MoviesFilter;
+  MoviesOrderBy: MoviesOrderBy;
+  Mutation: ResolverTypeWrapper<{}>;
+  Nationality: Nationality;
+  Node: ResolverTypeWrapper<ResolversInterfaceTypes<ResolversTypes>['Node']>;
+  NonNegativeInt: ResolverTypeWrapper<Scalars['NonNegativeInt']['output']>;
+  OrderDirection: OrderDirection;
+  PageInfo: ResolverTypeWrapper<PageInfo>;
+  Query: ResolverTypeWrapper<{}>;
+  String: ResolverTypeWrapper<Scalars['String']['output']>;
+  Subscription: ResolverTypeWrapper<{}>;
+  TheaterMovie: ResolverTypeWrapper<MovieRecord>;
+  TvMovie: ResolverTypeWrapper<MovieRecord>;
+  UpdateAdminRoleInput: UpdateAdminRoleInput;
+  UpdateMovieInput: UpdateMovieInput;
+  UpdateUserInput: UpdateUserInput;
+  UpdateUsernameInput: UpdateUsernameInput;
+  User: ResolverTypeWrapper<UserRecord>;
+  UserAdmin: ResolverTypeWrapper<ResolversUnionTypes<ResolversTypes>['UserAdmin']>;
+  UserAdminConnection: ResolverTypeWrapper<Omit<UserAdminConnection, 'edges'> & { edges: Array<ResolversTypes['UserAdminEdge']> }>;
+  UserAdminEdge: ResolverTypeWrapper<Omit<UserAdminEdge, 'node'> & { node: ResolversTypes['UserAdmin'] }>;
+  UserOrderField: UserOrderField;
+  UsersFilter: UsersFilter;
+  UsersOrderBy: UsersOrderBy;
+}>;
+
+/** Mapping between all available schema types and the resolvers parents */
+export type ResolversParentTypes = ResolversObject<{
+  Admin: AdminRecord;
+  AdminConnection: Omit<AdminConnection, 'edges'> & { edges: Array<ResolversParentTypes['AdminEdge']> };
+  AdminEdge: Omit<AdminEdge, 'node'> & { node: ResolversParentTypes['Admin'] };
+  AuditLogEntry: AuditLogRecord;
+  AuditLogEntryConnection: Omit<AuditLogEntryConnection, 'edges'> & { edges: Array<ResolversParentTypes['AuditLogEntryEdge']> };
+  AuditLogEntryEdge: Omit<AuditLogEntryEdge, 'node'> & { node: ResolversParentTypes['AuditLogEntry'] };
+  AuthPayload: Omit<AuthPayload, 'user'> & { user: ResolversParentTypes['UserAdmin'] };
+  Boolean: Scalars['Boolean']['output'];
+  CreateAdminInput: CreateAdminInput;
+  CreateMovieInput: CreateMovieInput;
+  CreateUserInput: CreateUserInput;
+  Date: Scalars['Date']['output'];
+  DateTime: Scalars['DateTime']['output'];
+  DeprecatedClientUsage: DeprecatedUsageRecord;
+  DeprecatedUsage: Omit<DeprecatedUsage, 'clients'> & { clients: Array<ResolversParentTypes['DeprecatedClientUsage']> };
+  EmailAddress: Scalars['EmailAddress']['output'];
+  FavoriteMovieInput: FavoriteMovieInput;
+  Float: Scalars['Float']['output'];
+  FriendshipInput: FriendshipInput;
+  ID: Scalars['ID']['output'];
+  Int: Scalars['Int']['output'];
+  JSON: Scalars['JSON']['output'];
+  Movie: MovieRecord;
+  MovieChangedEvent: Omit<MovieChangedEvent, 'movie'> & { movie: ResolversParentTypes['Movie'] };
+  MovieConnection: Omit<MovieConnection, 'edges'> & { edges: Array<ResolversParentTypes['MovieEdge']> };
+  MovieEdge: Omit<MovieEdge, 'node'> & { node: ResolversParentTypes['Movie'] };
+  MoviesFilter: MoviesFilter;
+  MoviesOrderBy: MoviesOrderBy;
+  Mutation: {};
+  Node: ResolversInterfaceTypes<ResolversParentTypes>['Node'];
+  NonNegativeInt: Scalars['NonNegativeInt']['output'];
+  PageInfo: PageInfo;
+  Query: {};
+  String: Scalars['String']['output'];
+  Subscription: {};
+  TheaterMovie: MovieRecord;
+  TvMovie: MovieRecord;
+  UpdateAdminRoleInput: UpdateAdminRoleInput;
+  UpdateMovieInput: UpdateMovieInput;
+  UpdateUserInput: UpdateUserInput;
+  UpdateUsernameInput: UpdateUsernameInput;
+  User: UserRecord;
+  UserAdmin: ResolversUnionTypes<ResolversParentTypes>['UserAdmin'];
+  UserAdminConnection: Omit<UserAdminConnection, 'edges'> & { edges: Array<ResolversParentTypes['UserAdminEdge']> };
+  UserAdminEdge: Omit<UserAdminEdge, 'node'> & { node: ResolversParentTypes['UserAdmin'] };
+  UsersFilter: UsersFilter;
+  UsersOrderBy: UsersOrderBy;
+}>;
+
+export type AuthDirectiveArgs = {
+  requires?: Maybe<Array<AdminRole>>;
+};
+
+export type AuthDirectiveResolver<Result, Parent, ContextType = Context, Args = AuthDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type CacheControlDirectiveArgs = {
+  inheritMaxAge?: Maybe<Scalars['Boolean']['input']>;
+  maxAge?: Maybe<Scalars['Int']['input']>;
+  scope?: Maybe<CacheControlScope>;
+};
+
+export type CacheControlDirectiveResolver<Result, Parent, ContextType = Context, Args = CacheControlDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type CostDirectiveArgs = {
+  assumedSize?: Maybe<Scalars['Int']['input']>;
+  complexity?: Maybe<Scalars['Int']['input']>;
+  multipliers?: Maybe<Array<Scalars['String']['input']>>;
+};
+
+export type CostDirectiveResolver<Result, Parent, ContextType = Context, Args = CostDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type LengthDirectiveArgs = {
+  max?: Maybe<Scalars['Int']['input']>;
+  min?: Maybe<Scalars['Int']['input']>;
+};
+
+export type LengthDirectiveResolver<Result, Parent, ContextType = Context, Args = LengthDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type PatternDirectiveArgs = {
+  message?: Maybe<Scalars['String']['input']>;
+  regex: Scalars['String']['input'];
+};
+
+export type PatternDirectiveResolver<Result, Parent, ContextType = Context, Args = PatternDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type RangeDirectiveArgs = {
+  max?: Maybe<Scalars['Float']['input']>;
+  min?: Maybe<Scalars['Float']['input']>;
+};
+
+export type RangeDirectiveResolver<Result, Parent, ContextType = Context, Args = RangeDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type UniqueDirectiveArgs = {
+  collections: Array<Scalars['String']['input']>;
+  field: Scalars['String']['input'];
+};
+
+export type UniqueDirectiveResolver<Result, Parent, ContextType = Context, Args = UniqueDirectiveArgs> = DirectiveResolverFn<Result, Parent, ContextType, Args>;
+
+export type AdminResolvers<ContextType = Context, ParentType extends ResolversParentTypes['Admin'] = ResolversParentTypes['Admin']> = ResolversObject<{
+  createdAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  name?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  role?: Resolver<ResolversTypes['AdminRole'], ParentType, ContextType>;
+  updatedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  username?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type AdminConnectionResolvers<ContextType = Context, ParentType extends ResolversParentTypes['AdminConnection'] = ResolversParentTypes['AdminConnection']> = ResolversObject<{
+  edges?: Resolver<Array<ResolversTypes['AdminEdge']>, ParentType, ContextType>;
+  pageInfo?: Resolver<ResolversTypes['PageInfo'], ParentType, ContextType>;
+  totalCount?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type AdminEdgeResolvers<ContextType = Context, ParentType extends ResolversParentTypes['AdminEdge'] = ResolversParentTypes['AdminEdge']> = ResolversObject<{
+  cursor?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  node?: Resolver<ResolversTypes['Admin'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type AuditLogEntryResolvers<ContextType = Context, ParentType extends ResolversParentTypes['AuditLogEntry'] = ResolversParentTypes['AuditLogEntry']> = ResolversObject<{
+  action?: Resolver<ResolversTypes['AuditAction'], ParentType, ContextType>;
+  actor?: Resolver<Maybe<ResolversTypes['UserAdmin']>, ParentType, ContextType>;
+  after?: Resolver<Maybe<ResolversTypes['JSON']>, ParentType, ContextType>;
+  before?: Resolver<Maybe<ResolversTypes['JSON']>, ParentType, ContextType>;
+  createdAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  entity?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  entityId?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type AuditLogEntryConnectionResolvers<ContextType = Context, ParentType extends ResolversParentTypes['AuditLogEntryConnection'] = ResolversParentTypes['AuditLogEntryConnection']> = ResolversObject<{
+  edges?: Resolver<Array<ResolversTypes['AuditLogEntryEdge']>, ParentType, ContextType>;
+  pageInfo?: Resolver<ResolversTypes['PageInfo'], ParentType, ContextType>;
+  totalCount?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type AuditLogEntryEdgeResolvers<ContextType = Context, ParentType extends ResolversParentTypes['AuditLogEntryEdge'] = ResolversParentTypes['AuditLogEntryEdge']> = ResolversObject<{
+  cursor?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  node?: Resolver<ResolversTypes['AuditLogEntry'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type AuthPayloadResolvers<ContextType = Context, ParentType extends ResolversParentTypes['AuthPayload'] = ResolversParentTypes['AuthPayload']> = ResolversObject<{
+  token?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  user?: Resolver<ResolversTypes['UserAdmin'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export interface DateScalarConfig extends GraphQLScalarTypeConfig<ResolversTypes['Date'], any> {
+  name: 'Date';
+}
+
+export interface DateTimeScalarConfig extends GraphQLScalarTypeConfig<ResolversTypes['DateTime'], any> {
+  name: 'DateTime';
+}
+
+export type DeprecatedClientUsageResolvers<ContextType = Context, ParentType extends ResolversParentTypes['DeprecatedClientUsage'] = ResolversParentTypes['DeprecatedClientUsage']> = ResolversObject<{
+  clientName?: Resolver<Maybe<ResolversTypes['String']>, ParentType, ContextType>;
+  clientVersion?: Resolver<Maybe<ResolversTypes['String']>, ParentType, ContextType>;
+  count?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  firstUsedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  lastUsedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  operationName?: Resolver<Maybe<ResolversTypes['String']>, ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type DeprecatedUsageResolvers<ContextType = Context, ParentType extends ResolversParentTypes['DeprecatedUsage'] = ResolversParentTypes['DeprecatedUsage']> = ResolversObject<{
+  clients?: Resolver<Array<ResolversTypes['DeprecatedClientUsage']>, ParentType, ContextType>;
+  coordinate?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  lastUsedAt?: Resolver<Maybe<ResolversTypes['DateTime']>, ParentType, ContextType>;
+  reason?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  totalCount?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export interface EmailAddressScalarConfig extends GraphQLScalarTypeConfig<ResolversTypes['EmailAddress'], any> {
+  name: 'EmailAddress';
+}
+
+export interface JsonScalarConfig extends GraphQLScalarTypeConfig<ResolversTypes['JSON'], any> {
+  name: 'JSON';
+}
+
+export type MovieResolvers<ContextType = Context, ParentType extends ResolversParentTypes['Movie'] = ResolversParentTypes['Movie']> = ResolversObject<{
+  __resolveType: TypeResolveFn<'TheaterMovie' | 'TvMovie', ParentType, ContextType>;
+  createdAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  favoritedBy?: Resolver<Array<ResolversTypes['User']>, ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  name?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  releaseDate?: Resolver<Maybe<ResolversTypes['Date']>, ParentType, ContextType>;
+  updatedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  yearOfPublication?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+}>;
+
+export type MovieChangedEventResolvers<ContextType = Context, ParentType extends ResolversParentTypes['MovieChangedEvent'] = ResolversParentTypes['MovieChangedEvent']> = ResolversObject<{
+  action?: Resolver<ResolversTypes['ChangeAction'], ParentType, ContextType>;
+  movie?: Resolver<ResolversTypes['Movie'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type MovieConnectionResolvers<ContextType = Context, ParentType extends ResolversParentTypes['MovieConnection'] = ResolversParentTypes['MovieConnection']> = ResolversObject<{
+  edges?: Resolver<Array<ResolversTypes['MovieEdge']>, ParentType, ContextType>;
+  pageInfo?: Resolver<ResolversTypes['PageInfo'], ParentType, ContextType>;
+  totalCount?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type MovieEdgeResolvers<ContextType = Context, ParentType extends ResolversParentTypes['MovieEdge'] = ResolversParentTypes['MovieEdge']> = ResolversObject<{
+  cursor?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  node?: Resolver<ResolversTypes['Movie'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type MutationResolvers<ContextType = Context, ParentType extends ResolversParentTypes['Mutation'] = ResolversParentTypes['Mutation']> = ResolversObject<{
+  addFavoriteMovie?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationAddFavoriteMovieArgs, 'input'>>;
+  addFriend?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationAddFriendArgs, 'input'>>;
+  createAdmin?: Resolver<Maybe<ResolversTypes['Admin']>, ParentType, ContextType, RequireFields<MutationCreateAdminArgs, 'input'>>;
+  createMovie?: Resolver<Maybe<ResolversTypes['Movie']>, ParentType, ContextType, RequireFields<MutationCreateMovieArgs, 'input'>>;
+  createUser?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationCreateUserArgs, 'input'>>;
+  deleteAdmin?: Resolver<Maybe<ResolversTypes['Admin']>, ParentType, ContextType, RequireFields<MutationDeleteAdminArgs, 'id'>>;
+  deleteMovie?: Resolver<Maybe<ResolversTypes['Movie']>, ParentType, ContextType, RequireFields<MutationDeleteMovieArgs, 'id'>>;
+  deleteUser?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationDeleteUserArgs, 'id'>>;
+  login?: Resolver<ResolversTypes['AuthPayload'], ParentType, ContextType, RequireFields<MutationLoginArgs, 'password' | 'username'>>;
+  removeFavoriteMovie?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationRemoveFavoriteMovieArgs, 'input'>>;
+  removeFriend?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationRemoveFriendArgs, 'input'>>;
+  restoreUser?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationRestoreUserArgs, 'id'>>;
+  updateAdminRole?: Resolver<Maybe<ResolversTypes['Admin']>, ParentType, ContextType, RequireFields<MutationUpdateAdminRoleArgs, 'input'>>;
+  updateMovie?: Resolver<Maybe<ResolversTypes['Movie']>, ParentType, ContextType, RequireFields<MutationUpdateMovieArgs, 'input'>>;
+  updateUser?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationUpdateUserArgs, 'input'>>;
+  updateUsername?: Resolver<Maybe<ResolversTypes['User']>, ParentType, ContextType, RequireFields<MutationUpdateUsernameArgs, 'input'>>;
+}>;
+
+export type NodeResolvers<ContextType = Context, ParentType extends ResolversParentTypes['Node'] = ResolversParentTypes['Node']> = ResolversObject<{
+  __resolveType: TypeResolveFn<'Admin' | 'TheaterMovie' | 'TvMovie' | 'User', ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+}>;
+
+export interface NonNegativeIntScalarConfig extends GraphQLScalarTypeConfig<ResolversTypes['NonNegativeInt'], any> {
+  name: 'NonNegativeInt';
+}
+
+export type PageInfoResolvers<ContextType = Context, ParentType extends ResolversParentTypes['PageInfo'] = ResolversParentTypes['PageInfo']> = ResolversObject<{
+  endCursor?: Resolver<Maybe<ResolversTypes['String']>, ParentType, ContextType>;
+  hasNextPage?: Resolver<ResolversTypes['Boolean'], ParentType, ContextType>;
+  hasPreviousPage?: Resolver<ResolversTypes['Boolean'], ParentType, ContextType>;
+  startCursor?: Resolver<Maybe<ResolversTypes['String']>, ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type QueryResolvers<ContextType = Context, ParentType extends ResolversParentTypes['Query'] = ResolversParentTypes['Query']> = ResolversObject<{
+  admin?: Resolver<ResolversTypes['Admin'], ParentType, ContextType, RequireFields<QueryAdminArgs, 'id'>>;
+  admins?: Resolver<ResolversTypes['AdminConnection'], ParentType, ContextType, Partial<QueryAdminsArgs>>;
+  auditLog?: Resolver<ResolversTypes['AuditLogEntryConnection'], ParentType, ContextType, Partial<QueryAuditLogArgs>>;
+  deprecatedUsage?: Resolver<Array<ResolversTypes['DeprecatedUsage']>, ParentType, ContextType>;
+  me?: Resolver<Maybe<ResolversTypes['UserAdmin']>, ParentType, ContextType>;
+  movie?: Resolver<ResolversTypes['Movie'], ParentType, ContextType, RequireFields<QueryMovieArgs, 'name'>>;
+  movies?: Resolver<ResolversTypes['MovieConnection'], ParentType, ContextType, Partial<QueryMoviesArgs>>;
+  node?: Resolver<Maybe<ResolversTypes['Node']>, ParentType, ContextType, RequireFields<QueryNodeArgs, 'id'>>;
+  nodes?: Resolver<Array<Maybe<ResolversTypes['Node']>>, ParentType, ContextType, RequireFields<QueryNodesArgs, 'ids'>>;
+  user?: Resolver<ResolversTypes['User'], ParentType, ContextType, RequireFields<QueryUserArgs, 'id'>>;
+  users?: Resolver<ResolversTypes['UserAdminConnection'], ParentType, ContextType, RequireFields<QueryUsersArgs, 'includeDeleted'>>;
+}>;
+
+export type SubscriptionResolvers<ContextType = Context, ParentType extends ResolversParentTypes['Subscription'] = ResolversParentTypes['Subscription']> = ResolversObject<{
+  movieChanged?: SubscriptionResolver<ResolversTypes['MovieChangedEvent'], "movieChanged", ParentType, ContextType>;
+  userCreated?: SubscriptionResolver<ResolversTypes['User'], "userCreated", ParentType, ContextType>;
+  userDeleted?: SubscriptionResolver<ResolversTypes['ID'], "userDeleted", ParentType, ContextType>;
+  userUpdated?: SubscriptionResolver<ResolversTypes['User'], "userUpdated", ParentType, ContextType>;
+}>;
+
+export type TheaterMovieResolvers<ContextType = Context, ParentType extends ResolversParentTypes['TheaterMovie'] = ResolversParentTypes['TheaterMovie']> = ResolversObject<{
+  createdAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  favoritedBy?: Resolver<Array<ResolversTypes['User']>, ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  isInTheaters?: Resolver<ResolversTypes['Boolean'], ParentType, ContextType>;
+  name?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  releaseDate?: Resolver<Maybe<ResolversTypes['Date']>, ParentType, ContextType>;
+  updatedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  yearOfPublication?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type TvMovieResolvers<ContextType = Context, ParentType extends ResolversParentTypes['TvMovie'] = ResolversParentTypes['TvMovie']> = ResolversObject<{
+  createdAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  favoritedBy?: Resolver<Array<ResolversTypes['User']>, ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  name?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  releaseDate?: Resolver<Maybe<ResolversTypes['Date']>, ParentType, ContextType>;
+  updatedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  yearFirstAired?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  yearOfPublication?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type UserResolvers<ContextType = Context, ParentType extends ResolversParentTypes['User'] = ResolversParentTypes['User']> = ResolversObject<{
+  age?: Resolver<Maybe<ResolversTypes['NonNegativeInt']>, ParentType, ContextType>;
+  createdAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  deletedAt?: Resolver<Maybe<ResolversTypes['DateTime']>, ParentType, ContextType>;
+  email?: Resolver<Maybe<ResolversTypes['EmailAddress']>, ParentType, ContextType>;
+  favoriteMovies?: Resolver<Maybe<Array<ResolversTypes['Movie']>>, ParentType, ContextType>;
+  friends?: Resolver<Maybe<Array<ResolversTypes['User']>>, ParentType, ContextType>;
+  id?: Resolver<ResolversTypes['ID'], ParentType, ContextType>;
+  name?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  nationality?: Resolver<ResolversTypes['Nationality'], ParentType, ContextType>;
+  updatedAt?: Resolver<ResolversTypes['DateTime'], ParentType, ContextType>;
+  username?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  version?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type UserAdminResolvers<ContextType = Context, ParentType extends ResolversParentTypes['UserAdmin'] = ResolversParentTypes['UserAdmin']> = ResolversObject<{
+  __resolveType: TypeResolveFn<'Admin' | 'User', ParentType, ContextType>;
+}>;
+
+export type UserAdminConnectionResolvers<ContextType = Context, ParentType extends ResolversParentTypes['UserAdminConnection'] = ResolversParentTypes['UserAdminConnection']> = ResolversObject<{
+  edges?: Resolver<Array<ResolversTypes['UserAdminEdge']>, ParentType, ContextType>;
+  pageInfo?: Resolver<ResolversTypes['PageInfo'], ParentType, ContextType>;
+  totalCount?: Resolver<ResolversTypes['Int'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type UserAdminEdgeResolvers<ContextType = Context, ParentType extends ResolversParentTypes['UserAdminEdge'] = ResolversParentTypes['UserAdminEdge']> = ResolversObject<{
+  cursor?: Resolver<ResolversTypes['String'], ParentType, ContextType>;
+  node?: Resolver<ResolversTypes['UserAdmin'], ParentType, ContextType>;
+  __isTypeOf?: IsTypeOfResolverFn<ParentType, ContextType>;
+}>;
+
+export type Resolvers<ContextType = Context> = ResolversObject<{
+  Admin?: AdminResolvers<ContextType>;
+  AdminConnection?: AdminConnectionResolvers<ContextType>;
+  AdminEdge?: AdminEdgeResolvers<ContextType>;
+  AuditLogEntry?: AuditLogEntryResolvers<ContextType>;
+  AuditLogEntryConnection?: AuditLogEntryConnectionResolvers<ContextType>;
+  AuditLogEntryEdge?: AuditLogEntryEdgeResolvers<ContextType>;
+  AuthPayload?: AuthPayloadResolvers<ContextType>;
+  Date?: GraphQLScalarType;
+  DateTime?: GraphQLScalarType;
+  DeprecatedClientUsage?: DeprecatedClientUsageResolvers<ContextType>;
+  DeprecatedUsage?: DeprecatedUsageResolvers<ContextType>;
+  EmailAddress?: GraphQLScalarType;
+  JSON?: GraphQLScalarType;
+  Movie?: MovieResolvers<ContextType>;
+  MovieChangedEvent?: MovieChangedEventResolvers<ContextType>;
+  MovieConnection?: MovieConnectionResolvers<ContextType>;
+  MovieEdge?: MovieEdgeResolvers<ContextType>;
+  Mutation?: MutationResolvers<ContextType>;
+  Node?: NodeResolvers<ContextType>;
+  NonNegativeInt?: GraphQLScalarType;
+  PageInfo?: PageInfoResolvers<ContextType>;
+  Query?: QueryResolvers<ContextType>;
+  Subscription?: SubscriptionResolvers<ContextType>;
+  TheaterMovie?: TheaterMovieResolvers<ContextType>;
+  TvMovie?: TvMovieResolvers<ContextType>;
+  User?: UserResolvers<ContextType>;
+  UserAdmin?: UserAdminResolvers<ContextType>;
+  UserAdminConnection?: UserAdminConnectionResolvers<ContextType>;
+  UserAdminEdge?: UserAdminEdgeResolvers<ContextType>;
+}>;
+
+export type DirectiveResolvers<ContextType = Context> = ResolversObject<{
+  auth?: AuthDirectiveResolver<any, any, ContextType>;
+  cacheControl?: CacheControlDirectiveResolver<any, any, ContextType>;
+  cost?: CostDirectiveResolver<any, any, ContextType>;
+  length?: LengthDirectiveResolver<any, any, ContextType>;
+  pattern?: PatternDirectiveResolver<any, any, ContextType>;
+  range?: RangeDirectiveResolver<any, any, ContextType>;
+  unique?: UniqueDirectiveResolver<any, any, ContextType>;
+}>;
@@ -0,0 +1,91 @@
+const { validationFailed } = require("../errors");
+
+/**
+ * Global object identification
+ *
+ * The IDs in our data are numbers unique only inside one collection - there is a user 1 and also a movie 1.
+ * So the API returns "global IDs" instead - the type name and the ID encoded with base64:
+ *
+ * toGlobalId("User", 1) => "VXNlcjox" (base64 of "User:1")
+ *
+ * Every object in the API has a different ID then, so the client can use it as a cache key and it can
+ * refetch any object only by its ID with the "node" query (see the Node interface in schema/modules/shared/shared.graphql).
+ * The IDs are "opaque" - the client shouldn't decode them or build them on its own.
+ *
+ * The arguments still accept also the old numeric IDs (f.e. user(id: 1)), so the older clients keep working.
+ *
+ * More info: https://graphql.org/learn/global-object-identification/
+ */
+const NUMERIC_ID = /^\d+$/;
+
+const USER_TYPES = ["User", "Admin"];
+const MOVIE_TYPES = ["TvMovie", "TheaterMovie"];
+
+// Users and admins are logging in the same way, but they are stored in their own collections (see data/index.js)
+const ACCOUNT_COLLECTIONS = {
+  User: "users",
+  Admin: "admins",
+};
+
+const toGlobalId = (type, id) =>
+  Buffer.from(`${type}:${id}`).toString("base64");
+
+/**
+ * Returns { type, id } or null, if the value is not a valid global ID
+ */
+const fromGlobalId = (globalId) => {
+  const decoded = Buffer.from(String(globalId), "base64").toString("utf-8");
+  const separator = decoded.indexOf(":");
+  const type = decoded.slice(0, separator);
+  const id = decoded.slice(separator + 1);
+
+  if (separator < 1 || !NUMERIC_ID.test(id)) {
+    return null;
+  }
+
+  return { type, id: Number(id) };
+};
+
+/**
+ * Numeric ID from a global or numeric ID of any type, null for invalid values
+ */
+const toNumericId = (id) => {
+  if (NUMERIC_ID.test(String(id))) {
+    return Number(id);
+  }
+  return fromGlobalId(id)?.id ?? null;
+};
+
+/**
+ * Converts an ID from the arguments (global or numeric) to { type, id } with the numeric ID of our data.
+ * "types" are the allowed types of the global ID - f.e. a movie ID can't be used as a user ID.
+ * The numeric IDs don't say their type, so they get the first of the "types" (f.e. user(id: 1) is the User 1,
+ * not the Admin 1 - users and admins have their own IDs).
+ */
+const parseTypedId = (id, types) => {
+  if (NUMERIC_ID.test(String(id))) {
+    return { type: types[0], id: Number(id) };
+  }
+
+  const globalId = fromGlobalId(id);
+
+  if (!globalId || !types.includes(globalId.type)) {
+    throw validationFailed(`"${id}" is not a valid ${types.join(" or ")} ID`);
+  }
+
+  return globalId;
+};
+
+// The same as parseTypedId, but only the numeric ID is returned
+const parseId = (id, types) => parseTypedId(id, types).id;
+
+module.exports = {
+  USER_TYPES,
+  MOVIE_TYPES,
+  ACCOUNT_COLLECTIONS,
+  toGlobalId,
+  fromGlobalId,
+  toNumericId,
+  parseTypedId,
+  parseId,
+};
@@ -0,0 +1,167 @@
+const { recordAudit } = require("../audit");
+const { notFound, forbidden } = require("../errors");
+const { refreshUser, refreshAdmin, clearLoaders } = require("../loaders");
+const { pubsub, USER_UPDATED, MOVIE_CHANGED } = require("../pubsub");
+const { ACCOUNT_COLLECTIONS } = require("./global-id");
+
+/**
+ * Helpers shared by the resolvers of more schema modules (see schema/modules) - f.e. deleting a movie
+ * (the movies module) changes the favorite movies of its fans (the users module).
+ *
+ * Why do we need DataLoader and why separate resolvers for fields like "friends"? See loaders.js.
+ *
+ * Every request gets its own loaders (created in context.js), resolvers are using them
+ * through "context.loaders" - f.e. context.loaders.userById.loadMany(friendIds).
+ */
+
+const ADMIN_ROLES = ["ADMIN", "SUPERADMIN"];
+
+/**
+ * Soft delete - the deleted users stay in the collection with the "deletedAt" timestamp, so they can
+ * be restored (restoreUser). For everybody else they don't exist anymore - they are not returned
+ * by the queries, they can't log in and they are hidden in the "friends" and "favoritedBy" lists.
+ */
+const isDeleted = (user) => Boolean(user.deletedAt);
+
+// Users only - admins are in their own collection (see ACCOUNT_COLLECTIONS in global-id.js)
+const findUser = async (context, id) => {
+  const user = await context.dataSources.users.findById(id);
+
+  if (!user || isDeleted(user)) {
+    throw notFound("User", { id });
+  }
+
+  return user;
+};
+
+const findAdmin = async (context, id) => {
+  const admin = await context.dataSources.admins.findById(id);
+
+  if (!admin) {
+    throw notFound("Admin", { id });
+  }
+
+  return admin;
+};
+
+const findMovie = async (context, id) => {
+  const movie = await context.dataSources.movies.findById(id);
+
+  if (!movie) {
+    throw notFound("Movie", { id });
+  }
+
+  return movie;
+};
+
+const ACCOUNT_REFRESHERS = {
+  User: refreshUser,
+  Admin: refreshAdmin,
+};
+
+/**
+ * All the changes of the existing users and admins are going through this function, so the record
+ * is changed in the right collection, the cached loaders are refreshed and the change is recorded into
+ * the audit log (see audit.js). "entity" is "User" or "Admin" - the caller always knows, which collection
+ * the record comes from. Guessing it from the record (f.e. by its "role") could change the user with the same ID
+ * instead of the admin. "user" is the record to change.
+ * The "changes" computed from the record (f.e. adding a friend to its "friends") have to be a function of
+ * the current record - see "update" in data/repository.js.
+ * With the "expectedVersion" the change fails with the CONFLICT error, if the user was changed
+ * in the meantime (see data/repository.js).
+ */
+const changeUser = async (
+  context,
+  entity,
+  user,
+  changes,
+  { action = "UPDATED", expectedVersion = null } = {}
+) => {
+  const repository = context.dataSources[ACCOUNT_COLLECTIONS[entity]];
+  // The audit log gets the record as it was right before the change
+  let before = user;
+  const updated = await repository.update(
+    user.id,
+    (current) => {
+      before = current;
+      return typeof changes === "function" ? changes(current) : changes;
+    },
+    { expectedVersion }
+  );
+  ACCOUNT_REFRESHERS[entity](context.loaders, updated);
+  await recordAudit(context, {
+    action,
+    entity,
+    before,
+    after: updated,
+  });
+  return updated;
+};
+
+/**
+ * Publishing the events for the subscriptions (see pubsub.js). The payload has to have the same shape
+ * as the subscription response - an object with the subscription field name as key.
+ * The "userUpdated" subscription returns a User, so only the users module and the movies module (the fans
+ * of a deleted movie) are publishing there - never the changes of admins.
+ */
+const publishUserUpdated = (user) => {
+  if (user) {
+    pubsub.publish(USER_UPDATED, { userUpdated: user });
+  }
+};
+
+const publishMovieChanged = (action, movie) => {
+  if (movie) {
+    pubsub.publish(MOVIE_CHANGED, { movieChanged: { action, movie } });
+  }
+};
+
+// The logged in account is the user with the "userId" or an admin, false for anonymous requests
+const isSelfOrAdmin = (currentUser, userId) =>
+  Boolean(currentUser && (currentUser.role || currentUser.id === userId));
+
+/**
+ * Resolver guard for the mutations changing a user's own data (username, friends, favorites).
+ * The @auth directive already checked, that somebody is logged in, here we check that it is
+ * the same user or an admin.
+ */
+const assertSelfOrAdmin = (currentUser, userId) => {
+  if (!isSelfOrAdmin(currentUser, userId)) {
+    throw forbidden("You can change only your own data");
+  }
+};
+
+// Users having the movie in their favorites, except the deleted ones
+const findFans = async (context, movieId) => {
+  const fans = await context.loaders.usersByFavoriteMovieId.load(movieId);
+  return fans.filter((fan) => !isDeleted(fan));
+};
+
+const getMovieType = (movie) =>
+  movie.yearFirstAired ? "TV_MOVIE" : "THEATER_MOVIE";
+
+/**
+ * The context of a subscription lives as long as the subscription (see context.js), so the
+ * loaders would keep the data from the first event forever. Every event is a new "request", so we
+ * clear the loaders before resolving it.
+ */
+const resolveSubscriptionEvent = (fieldName) => (payload, args, context) => {
+  clearLoaders(context.loaders);
+  return payload[fieldName];
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  isDeleted,
+  findUser,
+  findAdmin,
+  findMovie,
+  changeUser,
+  publishUserUpdated,
+  publishMovieChanged,
+  isSelfOrAdmin,
+  assertSelfOrAdmin,
+  findFans,
+  getMovieType,
+  resolveSubscriptionEvent,
+};
@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parse,
+  isTypeDefinitionNode,
+  isTypeExtensionNode,
+  GraphQLScalarType,
+} = require("graphql");
+
+/**
+ * Schema modules
+ *
+ * The schema is split by the domains - every module in schema/modules has its own folder with
+ * the SDL (<name>.graphql) and the resolver map (resolvers.js):
+ *
+ * - shared - the root types, the directives, the scalars and the Node interface
+ * - users - the users, friends, favorite movies and the login
+ * - admins - the admins, the audit log and the usage of the deprecated fields
+ * - movies - the movies and their subscription
+ *
+ * The SDL is in real .graphql files (not in a JS string), so the IDE and the tooling configured
+ * in .graphqlrc.yml can read it. The domain modules add their fields to the root types with
+ * "extend type Query { ... }".
+ *
+ * makeExecutableSchema (see index.js) merges all the modules into one schema. The merging is quite
+ * forgiving - f.e. the same field defined in two modules is silently merged and the resolver of the
+ * later module simply wins. That is almost always a mistake, so we check the modules for such
+ * conflicts first and fail at startup.
+ */
+const MODULE_NAMES = ["shared", "users", "admins", "movies"];
+
+const MODULES_DIR = path.join(__dirname, "modules");
+
+const loadModule = (name) => ({
+  name,
+  typeDefs: fs.readFileSync(path.join(MODULES_DIR, name, `${name}.graphql`), {
+    encoding: "utf-8",
+  }),
+  resolvers: require(`./modules/${name}/resolvers`).resolvers,
+});
+
+// Types, which can't be defined twice, but can be extended by the other modules
+const isTypeDefinition = (node) =>
+  isTypeDefinitionNode(node) || isTypeExtensionNode(node);
+
+// Object/interface/input fields and the enum values
+const getMemberNames = (node) =>
+  [...(node.fields || []), ...(node.values || [])].map(
+    (member) => member.name.value
+  );
+
+/**
+ * Returns the keys of everything the module defines - f.e. "type User", "field User.name", "directive @auth"
+ * or "resolver Query.users". The same key in more modules is a conflict.
+ */
+const getModuleKeys = ({ typeDefs, resolvers }) => {
+  const keys = [];
+
+  parse(typeDefs).definitions.forEach((node) => {
+    if (node.kind === "DirectiveDefinition") {
+      keys.push(`directive @${node.name.value}`);
+      return;
+    }
+
+    if (!isTypeDefinition(node)) {
+      return;
+    }
+
+    const typeName = node.name.value;
+
+    if (node.kind.endsWith("TypeDefinition")) {
+      keys.push(`type ${typeName}`);
+    }
+
+    getMemberNames(node).forEach((member) =>
+      keys.push(`field ${typeName}.${member}`)
+    );
+  });
+
+  Object.entries(resolvers).forEach(([typeName, typeResolvers]) => {
+    // Custom scalars are resolved by the whole GraphQLScalarType instance (see scalars.js)
+    if (typeResolvers instanceof GraphQLScalarType) {
+      keys.push(`resolver ${typeName}`);
+      return;
+    }
+
+    Object.keys(typeResolvers).forEach((field) =>
+      keys.push(`resolver ${typeName}.${field}`)
+    );
+  });
+
+  return keys;
+};
+
+/**
+ * Throws one error with all the conflicts, so they can be fixed at once, f.e.:
+ *
+ * Schema modules are in conflict:
+ * - field Query.user (users, admins)
+ * - resolver Query.user (users, admins)
+ */
+const assertNoConflicts = (modules) => {
+  const owners = {};
+
+  modules.forEach((module) =>
+    getModuleKeys(module).forEach((key) => {
+      owners[key] = [...(owners[key] || []), module.name];
+    })
+  );
+
+  const conflicts = Object.entries(owners).filter(
+    ([key, moduleNames]) => moduleNames.length > 1
+  );
+
+  if (conflicts.length > 0) {
+    throw new Error(
+      [
+        "Schema modules are in conflict:",
+        ...conflicts.map(
+          ([key, moduleNames]) => `- ${key} (${moduleNames.join(", ")})`
+        ),
+      ].join("\n")
+    );
+  }
+};
+
+const modules = MODULE_NAMES.map(loadModule);
+
+assertNoConflicts(modules);
+
+module.exports = {
+  typeDefs: modules.map((module) => module.typeDefs),
+  resolvers: modules.map((module) => module.resolvers),
+};
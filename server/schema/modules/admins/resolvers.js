@@ -0,0 +1,153 @@
+const _ = require("lodash");
+
+const { hashPassword } = require("../../../auth");
+const { recordAudit } = require("../../../audit");
+const { notFound } = require("../../../errors");
+const { refreshAdmin, forgetAdmin } = require("../../../loaders");
+const { connectionFromArray } = require("../../pagination");
+const { findDeprecations } = require("../../deprecations");
+const {
+  USER_TYPES,
+  toGlobalId,
+  parseTypedId,
+  parseId,
+} = require("../../global-id");
+const { findAdmin, changeUser } = require("../../helpers");
+
+/**
+ * The audit log filters accept the IDs of users and admins - the type is needed too,
+ * because f.e. the user 1 and the admin 1 are different accounts.
+ */
+const matchesAccount = (entityType, entityId, filterId) => {
+  if (filterId == null) {
+    return true;
+  }
+
+  const { type, id } = parseTypedId(filterId, USER_TYPES);
+  return entityType === type && entityId === id;
+};
+
+/** @type {import("../../generated/resolvers-types").Resolvers} */
+const resolvers = {
+  Query: {
+    admins: async (parent, args, context) => {
+      const admins = await context.dataSources.admins.findAll();
+      admins.forEach((admin) =>
+        context.loaders.adminById.prime(admin.id, admin)
+      );
+      return connectionFromArray(admins, args);
+    },
+    admin: async (parent, args, context) => {
+      const id = args.id;
+      const admin = await context.loaders.adminById.load(
+        parseId(id, ["Admin"])
+      );
+
+      if (!admin) {
+        throw notFound("Admin", { id });
+      }
+
+      return admin;
+    },
+    auditLog: async (parent, args, context) => {
+      const entries = await context.dataSources.auditLog.findAll();
+      const matching = entries.filter(
+        (entry) =>
+          matchesAccount(entry.entity, entry.entityId, args.entityId) &&
+          matchesAccount(entry.actorType, entry.actorId, args.actorId)
+      );
+
+      // The newest changes first
+      return connectionFromArray(_.reverse(matching), args);
+    },
+    /**
+     * Every deprecated part of the schema is returned, also the unused ones - these can be removed.
+     * The records of the usage are created by plugins/deprecation-usage.js.
+     */
+    deprecatedUsage: async (parent, args, context, info) => {
+      const records = await context.dataSources.deprecatedUsage.findAll();
+      const recordsByCoordinate = _.groupBy(records, "coordinate");
+
+      return _.sortBy(findDeprecations(info.schema), "coordinate").map(
+        ({ coordinate, reason }) => {
+          const clients = _.orderBy(
+            recordsByCoordinate[coordinate] || [],
+            "updatedAt",
+            "desc"
+          );
+
+          return {
+            coordinate,
+            reason,
+            totalCount: _.sumBy(clients, "count"),
+            lastUsedAt: clients.length ? clients[0].updatedAt : null,
+            clients,
+          };
+        }
+      );
+    },
+  },
+  Admin: {
+    id: (parent) => toGlobalId("Admin", parent.id),
+  },
+  AuditLogEntry: {
+    entityId: (parent) => toGlobalId(parent.entity, parent.entityId),
+    actor: (parent, args, context) => {
+      if (!parent.actorId) {
+        return null;
+      }
+
+      const loader = parent.actorType === "Admin" ? "adminById" : "userById";
+      return context.loaders[loader].load(parent.actorId);
+    },
+  },
+  // The record is created on the first usage and updated on every next one (see plugins/deprecation-usage.js)
+  DeprecatedClientUsage: {
+    firstUsedAt: (parent) => parent.createdAt,
+    lastUsedAt: (parent) => parent.updatedAt,
+  },
+  Mutation: {
+    // ADMIN MUTATIONS
+    /**
+     * Admins have their own collection (and IDs), so they can never be changed by the user mutations
+     * or become somebody's friends.
+     */
+    createAdmin: async (parent, args, context) => {
+      const { name, username, password, role } = args.input;
+      const admin = {
+        name,
+        username,
+        role,
+        ...(password ? { passwordHash: hashPassword(password) } : {}),
+      };
+      const created = await context.dataSources.admins.insert(admin);
+      refreshAdmin(context.loaders, created);
+      await recordAudit(context, {
+        action: "CREATED",
+        entity: "Admin",
+        before: null,
+        after: created,
+      });
+      return created;
+    },
+    updateAdminRole: async (parent, args, context) => {
+      const { id, role } = args.input;
+      const admin = await findAdmin(context, parseId(id, ["Admin"]));
+      return changeUser(context, "Admin", admin, { role });
+    },
+    deleteAdmin: async (parent, args, context) => {
+      const admin = await findAdmin(context, parseId(args.id, ["Admin"]));
+      forgetAdmin(context.loaders, admin.id);
+      const removed = await context.dataSources.admins.remove(admin.id);
+      await recordAudit(context, {
+        action: "DELETED",
+        entity: "Admin",
+        before: removed,
+        after: null,
+      });
+      return removed;
+    },
+  },
+};
+
+module.exports = { resolvers };
@@ -0,0 +1,192 @@
+const _ = require("lodash");
+
+const { notFound, validationFailed } = require("../../../errors");
+const { refreshMovie, forgetMovie } = require("../../../loaders");
+const { subscribeTo, MOVIE_CHANGED } = require("../../../pubsub");
+const { connectionFromArray } = require("../../pagination");
+const { MOVIE_TYPES, toGlobalId, parseId } = require("../../global-id");
+const { filterMovies, sortMovies, findMovieByName } = require("../../filters");
+const {
+  changeUser,
+  publishUserUpdated,
+  publishMovieChanged,
+  findFans,
+  getMovieType,
+  resolveSubscriptionEvent,
+} = require("../../helpers");
+
+/**
+ * The concrete movie type is decided by the Movie.__resolveType resolver according to
+ * the "yearFirstAired" property, so every movie has to carry exactly the fields of its type:
+ * TV movies the "yearFirstAired", theater movies the "isInTheaters".
+ * @param {string} type
+ * @param {{ yearFirstAired?: number | null, isInTheaters?: boolean | null }} fields
+ */
+const validateMovieFields = (type, { yearFirstAired, isInTheaters }) => {
+  if (type === "TV_MOVIE") {
+    if (yearFirstAired == null) {
+      throw validationFailed(
+        "TV movie must have the yearFirstAired field",
+        "yearFirstAired"
+      );
+    }
+    if (isInTheaters != null) {
+      throw validationFailed(
+        "TV movie can't have the isInTheaters field",
+        "isInTheaters"
+      );
+    }
+  }
+
+  if (type === "THEATER_MOVIE") {
+    if (isInTheaters == null) {
+      throw validationFailed(
+        "Theater movie must have the isInTheaters field",
+        "isInTheaters"
+      );
+    }
+    if (yearFirstAired != null) {
+      throw validationFailed(
+        "Theater movie can't have the yearFirstAired field",
+        "yearFirstAired"
+      );
+    }
+  }
+};
+
+/** @type {import("../../generated/resolvers-types").Resolvers} */
+const resolvers = {
+  Query: {
+    movies: async (parent, args, context) => {
+      const movies = await context.dataSources.movies.findAll();
+      movies.forEach((movie) =>
+        context.loaders.movieById.prime(movie.id, movie)
+      );
+      return connectionFromArray(
+        sortMovies(filterMovies(movies, args.filter), args.orderBy),
+        args
+      );
+    },
+    movie: async (parent, args, context) => {
+      const name = args.name;
+      const movies = await context.dataSources.movies.findAll();
+      const movie = findMovieByName(movies, name);
+
+      if (!movie) {
+        throw notFound("Movie", { name });
+      }
+
+      return movie;
+    },
+  },
+  /**
+   * The "favoritedBy" field is defined in the Movie interface, but the resolvers are
+   * defined on the concrete types (interfaces can have only the __resolveType resolver),
+   * so we need to add it to both TvMovie and TheaterMovie.
+   */
+  TvMovie: {
+    id: (parent) => toGlobalId("TvMovie", parent.id),
+    favoritedBy: (parent, args, context) => findFans(context, parent.id),
+  },
+  TheaterMovie: {
+    id: (parent) => toGlobalId("TheaterMovie", parent.id),
+    favoritedBy: (parent, args, context) => findFans(context, parent.id),
+  },
+  /**
+   * Similar to union types, we need to define a special resolver (__resolveType) also
+   * for interfaces. The reason is the same - GraphQL needs to know the exact type of the resolved data.
+   * Currently the Movie interface is implemented by TvMovie and TheaterMovie type, so we should decide,
+   * whether the current object has a TvMovie or TheaterMovie type.
+   */
+  Movie: {
+    __resolveType: (obj) => {
+      if (getMovieType(obj) === "TV_MOVIE") {
+        return "TvMovie";
+      }
+
+      return "TheaterMovie";
+    },
+  },
+  Mutation: {
+    /**
+     * The concrete type of the new movie is chosen by the "type" field of the input,
+     * the type-specific fields are then validated (see validateMovieFields).
+     */
+    createMovie: async (parent, args, context) => {
+      const {
+        type,
+        name,
+        yearOfPublication,
+        releaseDate,
+        yearFirstAired,
+        isInTheaters,
+      } = args.input;
+      validateMovieFields(type, { yearFirstAired, isInTheaters });
+
+      const movie = {
+        name,
+        yearOfPublication,
+        ...(releaseDate ? { releaseDate } : {}),
+        ...(type === "TV_MOVIE" ? { yearFirstAired } : { isInTheaters }),
+      };
+      const created = await context.dataSources.movies.insert(movie);
+      refreshMovie(context.loaders, created);
+      publishMovieChanged("CREATED", created);
+      return created;
+    },
+    /**
+     * Only the given fields are updated. The type of the movie can't be changed,
+     * so the fields of the other movie type are rejected.
+     */
+    updateMovie: async (parent, args, context) => {
+      const { id, ...input } = args.input;
+      const changes = _.omitBy(input, _.isNil);
+      const movie = await context.dataSources.movies.findById(
+        parseId(id, MOVIE_TYPES)
+      );
+
+      if (!movie) {
+        throw notFound("Movie", { id });
+      }
+
+      const updated = { ...movie, ...changes };
+      validateMovieFields(getMovieType(movie), updated);
+      const result = await context.dataSources.movies.update(movie.id, changes);
+      refreshMovie(context.loaders, result);
+      publishMovieChanged("UPDATED", result);
+      return result;
+    },
+    deleteMovie: async (parent, args, context) => {
+      const movie = await context.dataSources.movies.remove(
+        parseId(args.id, MOVIE_TYPES)
+      );
+
+      if (!movie) {
+        throw notFound("Movie", { id: args.id });
+      }
+
+      // Removing the deleted movie from the favorites of its fans (the deleted users too, they can be restored)
+      const fans = await context.loaders.usersByFavoriteMovieId.load(movie.id);
+      const updatedFans = await Promise.all(
+        fans.map((fan) =>
+          changeUser(context, "User", fan, (current) => ({
+            favoriteMovies: _.without(current.favoriteMovies || [], movie.id),
+          }))
+        )
+      );
+      forgetMovie(context.loaders, movie.id);
+      updatedFans.forEach(publishUserUpdated);
+      publishMovieChanged("DELETED", movie);
+
+      return movie;
+    },
+  },
+  Subscription: {
+    movieChanged: {
+      subscribe: () => subscribeTo(MOVIE_CHANGED),
+      resolve: resolveSubscriptionEvent("movieChanged"),
+    },
+  },
+};
+
+module.exports = { resolvers };
@@ -0,0 +1,62 @@
+const { scalarResolvers } = require("../../scalars");
+const { fromGlobalId } = require("../../global-id");
+const { isDeleted } = require("../../helpers");
+const { resolvers: userResolvers } = require("../users/resolvers");
+const { resolvers: movieResolvers } = require("../movies/resolvers");
+
+const NODE_LOADERS = {
+  User: "userById",
+  Admin: "adminById",
+  TvMovie: "movieById",
+  TheaterMovie: "movieById",
+};
+
+/**
+ * Finds the object for the "node" query by its global ID. The loader is chosen by the type in the ID,
+ * the movie types are then checked by the same __resolveType resolvers as for the interfaces
+ * (otherwise f.e. "TvMovie:1" would return the theater movie 1).
+ */
+const findNode = async (context, info, globalId) => {
+  const { type, id } = fromGlobalId(globalId) || {};
+
+  if (!NODE_LOADERS[type]) {
+    return null;
+  }
+
+  const record = await context.loaders[NODE_LOADERS[type]].load(id);
+
+  // Only admins can see the deleted users - the same as in the "user" query
+  if (!record || (isDeleted(record) && !context.currentUser?.role)) {
+    return null;
+  }
+
+  return resolvers.Node.__resolveType(record, context, info) === type
+    ? record
+    : null;
+};
+
+/** @type {import("../../generated/resolvers-types").Resolvers} */
+const resolvers = {
+  // Custom scalars (DateTime, Date, EmailAddress, NonNegativeInt, JSON) - see scalars.js
+  ...scalarResolvers,
+  Query: {
+    node: (parent, args, context, info) => findNode(context, info, args.id),
+    nodes: (parent, args, context, info) =>
+      Promise.all(args.ids.map((id) => findNode(context, info, id))),
+  },
+  /**
+   * The Node interface is implemented by the users, admins and both movie types, so we reuse
+   * the __resolveType resolvers of the users and movies modules - only the movies have the "yearOfPublication".
+   */
+  Node: {
+    __resolveType: (obj, context, info) => {
+      if ("yearOfPublication" in obj) {
+        return movieResolvers.Movie.__resolveType(obj, context, info);
+      }
+
+      return userResolvers.UserAdmin.__resolveType(obj, context, info);
+    },
+  },
+};
+
+module.exports = { resolvers };
@@ -0,0 +1,413 @@
+const _ = require("lodash");
+
+const { hashPassword, verifyPassword, createToken } = require("../../../auth");
+const { recordAudit } = require("../../../audit");
+const {
+  notFound,
+  validationFailed,
+  unauthenticated,
+  conflict,
+} = require("../../../errors");
+const { refreshUser, forgetUser } = require("../../../loaders");
+const {
+  pubsub,
+  USER_CREATED,
+  USER_UPDATED,
+  USER_DELETED,
+  subscribeTo,
+} = require("../../../pubsub");
+const { connectionFromArray } = require("../../pagination");
+const { assertAuthorized } = require("../../auth-directive");
+const { MOVIE_TYPES, toGlobalId, parseId } = require("../../global-id");
+const { filterUsers, sortUsers } = require("../../filters");
+const {
+  ADMIN_ROLES,
+  isDeleted,
+  findUser,
+  findMovie,
+  changeUser,
+  publishUserUpdated,
+  isSelfOrAdmin,
+  assertSelfOrAdmin,
+  resolveSubscriptionEvent,
+} = require("../../helpers");
+
+/**
+ * One side of the friendship - adds/removes the "friendId" to/from the friends of the "userId" user.
+ */
+const linkFriend = async (context, userId, friendId) => {
+  const user = await context.dataSources.users.findById(userId);
+  const updated = await changeUser(context, "User", user, (current) => ({
+    friends: _.union(current.friends || [], [friendId]),
+  }));
+  publishUserUpdated(updated);
+  return updated;
+};
+
+const unlinkFriend = async (context, userId, friendId) => {
+  const user = await context.dataSources.users.findById(userId);
+  const updated = await changeUser(context, "User", user, (current) => ({
+    friends: _.without(current.friends || [], friendId),
+  }));
+  publishUserUpdated(updated);
+  return updated;
+};
+
+/**
+ * Shared by updateUser and the deprecated updateUsername - "input" has the "id" and the optional "version"
+ * of the user (see UpdateUserInput), "changes" are the changed fields.
+ * @param {import("../../../types").Context} context
+ * @param {{ id: string, version?: number | null }} input
+ * @param {object} changes
+ */
+const updateUserFields = async (
+  context,
+  { id: globalId, version },
+  changes
+) => {
+  const id = parseId(globalId, ["User"]);
+  assertSelfOrAdmin(context.currentUser, id);
+  const user = await context.dataSources.users.findById(id);
+
+  if (!user || isDeleted(user)) {
+    throw notFound("User", { id: globalId });
+  }
+
+  const updated = await changeUser(context, "User", user, changes, {
+    expectedVersion: version,
+  });
+  publishUserUpdated(updated);
+  return updated;
+};
+
+/** @type {import("../../generated/resolvers-types").Resolvers} */
+const resolvers = {
+  /**
+   * Resolvers for queries we defined in the Query type
+   */
+  Query: {
+    users: async (parent, args, context) => {
+      /**
+       * As we defined in users.graphql, the "users" query can return either User-s and Admin-s
+       * because of the UserAdmin union type of the connection nodes. Users and admins are in
+       * separate collections, so we join both of them into one list (the users first).
+       * The union is then resolved per node by the UserAdmin.__resolveType resolver below.
+       */
+      if (args.includeDeleted) {
+        assertAuthorized(context.currentUser, ADMIN_ROLES);
+      }
+
+      const users = (await context.dataSources.users.findAll()).filter(
+        (user) => args.includeDeleted || !isDeleted(user)
+      );
+      const admins = await context.dataSources.admins.findAll();
+      // The loaded users can be then reused by the "friends" resolvers without loading them again
+      users.forEach((user) => context.loaders.userById.prime(user.id, user));
+      admins.forEach((admin) =>
+        context.loaders.adminById.prime(admin.id, admin)
+      );
+      return connectionFromArray(
+        sortUsers(
+          filterUsers([...users, ...admins], args.filter),
+          args.orderBy
+        ),
+        args
+      );
+    },
+    user: async (parent, args, context) => {
+      const id = args.id;
+      const user = await context.loaders.userById.load(parseId(id, ["User"]));
+
+      // Only admins can see the deleted users (f.e. to restore them)
+      if (!user || (isDeleted(user) && !context.currentUser?.role)) {
+        // See the notFound function in errors.js
+        throw notFound("User", { id });
+      }
+
+      return user;
+    },
+    /**
+     * The logged in user was already loaded in the "context" function (see context.js).
+     */
+    me: (parent, args, context) => {
+      return context.currentUser;
+    },
+  },
+  /**
+   * But we can have resolvers for every type, not only for the main Query type.
+   * How it will work?
+   * Let's have the "user" query, which returns a User. User has a field named "friends",
+   * which has a separate resolver. GraphQL then will run the resolver for the "user" query, then
+   * the resolver for the "friends" field and then he will combine all the data together and return
+   * the final object in the response, which will include also all the "friends" of the user.
+   *
+   * Why is this useful and good practice? Read the 'Why separate resolver for "friends"?' section in loaders.js.
+   *
+   * parent - it holds the resolved data of the previous level. Lets have a "user" query, which returns a User.
+   *   The resolver for the query will execute the query, then check whether some fields of the User have
+   *   some extra resolvers. They do, f.e. "friends", so GraphQL will execute the "friends" resolver for the
+   *   "friends" field. The "parent" in this "friends" resolver will be the resolved value of the "user" query, without
+   *   the values from the extra resolvers - so "friends" will be still an array of IDs in the "parent". That's the point,
+   *   we are going to resolve these IDs in the "friends" resolver.
+   *   Note, that the "parent" isn't a full User type, it is just a half-resolved one, so it can have also different fields.
+   *   We don't have to be "friends" in the parent, we can have also "friendIds" - in this case we would have
+   *   `const friendsIds = parent.friendIds;`. It is a good practice to have this unified, so every parent should have
+   *   the list of friends IDs under the same property and not like parent from the "user" resolver will have "friends" and
+   *   parent from the "users" resolver will have "friendIds"...
+   *
+   * args - accessing the query arguments
+   * context - accessing the context (see context.js)
+   * info - deep details about the GraphQL query
+   */
+  User: {
+    // The global ID instead of the numeric one - see global-id.js
+    id: (parent) => toGlobalId("User", parent.id),
+    // The email is private - other users (and the anonymous requests) get null
+    email: (parent, args, context) =>
+      isSelfOrAdmin(context.currentUser, parent.id) ? parent.email : null,
+    friends: async (parent, args, context, info) => {
+      // It will contain the "authorization" header - see App.jsx.
+      // console.log(context.req.headers);
+      const friendsIds = parent.friends;
+
+      if (!friendsIds) {
+        return [];
+      }
+
+      // The deleted friends are kept in the "friends" (so they are back after restoreUser), but hidden
+      const friends = await context.loaders.userById.loadMany(friendsIds);
+      return friends.filter((friend) => friend && !isDeleted(friend));
+    },
+    // Same as "friends", but the IDs are pointing to movies
+    favoriteMovies: (parent, args, context) => {
+      return context.loaders.movieById.loadMany(parent.favoriteMovies || []);
+    },
+  },
+  /**
+   * If a query is returning a union type, we need to define a resolver for the
+   * union type itself. We need to define a special resolver called __resolveType, where we
+   * need to write the logic for deciding, when to return which type from the union.
+   * In our case we have the UserAdmin union type, which is union of the User and Admin types.
+   * Admin type has a specific field "role", which the User type doesn't include, so
+   * when the given object from the parent query (in our case "users") has a "role" property, it means
+   * that we need to return the Admin type, otherwise the User type. We need to return the name of the
+   * concrete GraphQL type.
+   *
+   * What is that "obj"?
+   * It is basically the parent object (as we have it also in other resolvers, f.e. User.friends), we just
+   * called it "obj", because I think it gives more sense in this case.
+   * In our case, the "users" query is returning an array, so the __resolveType will be called for
+   * every array element (as it works for other, regular resolvers, f.e. User.friends).
+   *
+   * Why is this needed even? Why we can't just have the "users" resolver, why is this "__resolveType" resolver needed?
+   * GraphQL can't decide just according to the object in the array, which type they are, on other hand
+   * GraphQL need to know the exact type for every item in the array. So we need to do this specific resolver.
+   * A practical reason for this is in DisplayData.jsx.
+   */
+  UserAdmin: {
+    __resolveType: (obj) => {
+      if (obj.role) {
+        return "Admin";
+      }
+
+      return "User";
+    },
+  },
+  Mutation: {
+    /**
+     * The "args" are never changed - the new record is always a new object (the same for all the mutations).
+     * The ID is assigned by the repository (see data/sequences.js).
+     */
+    createUser: async (parent, args, context) => {
+      const { password, ...input } = args.input;
+      const user = {
+        ...input,
+        ...(password ? { passwordHash: hashPassword(password) } : {}),
+      };
+      const created = await context.dataSources.users.insert(user);
+      refreshUser(context.loaders, created);
+      await recordAudit(context, {
+        action: "CREATED",
+        entity: "User",
+        before: null,
+        after: created,
+      });
+      pubsub.publish(USER_CREATED, { userCreated: created });
+      return created;
+    },
+    /**
+     * Only the given fields are changed (null means "not given", same as in updateMovie).
+     */
+    updateUser: (parent, args, context) => {
+      const { id, version, ...input } = args.input;
+      const changes = _.omitBy(input, _.isNil);
+      return updateUserFields(context, { id, version }, changes);
+    },
+    // Deprecated - see updateUser
+    updateUsername: (parent, args, context) =>
+      updateUserFields(context, args.input, {
+        username: args.input.newUsername,
+      }),
+    /**
+     * Soft delete - the user is only marked as deleted (see isDeleted). His friendships and favorite
+     * movies are kept, so restoreUser can bring him back with all his data.
+     */
+    deleteUser: async (parent, args, context) => {
+      const user = await findUser(context, parseId(args.id, ["User"]));
+      const deleted = await changeUser(
+        context,
+        "User",
+        user,
+        { deletedAt: new Date().toISOString() },
+        { action: "DELETED" }
+      );
+      forgetUser(context.loaders, user.id);
+      pubsub.publish(USER_DELETED, {
+        userDeleted: toGlobalId("User", user.id),
+      });
+
+      // Returning the deleted user, so the client can f.e. show "User John was deleted"
+      return deleted;
+    },
+    restoreUser: async (parent, args, context) => {
+      const id = args.id;
+      const user = await context.dataSources.users.findById(
+        parseId(id, ["User"])
+      );
+
+      if (!user) {
+        throw notFound("User", { id });
+      }
+
+      if (!isDeleted(user)) {
+        throw conflict(`User with ID ${id} is not deleted`);
+      }
+
+      const restored = await changeUser(
+        context,
+        "User",
+        user,
+        { deletedAt: null },
+        { action: "RESTORED" }
+      );
+      forgetUser(context.loaders, user.id);
+      // For the clients the restored user is a new user in the lists
+      pubsub.publish(USER_CREATED, { userCreated: restored });
+      return restored;
+    },
+    // FRIENDSHIP MUTATIONS
+    /**
+     * Friendship is symmetric, so both users are always updated. Returns the user with the
+     * given "userId" with the updated "friends".
+     */
+    addFriend: async (parent, args, context) => {
+      const userId = parseId(args.input.userId, ["User"]);
+      const friendId = parseId(args.input.friendId, ["User"]);
+      assertSelfOrAdmin(context.currentUser, userId);
+
+      if (userId === friendId) {
+        throw validationFailed("User can't be a friend of himself", "friendId");
+      }
+
+      const user = await findUser(context, userId);
+      const friend = await findUser(context, friendId);
+
+      await linkFriend(context, friend.id, user.id);
+      return linkFriend(context, user.id, friend.id);
+    },
+    removeFriend: async (parent, args, context) => {
+      const userId = parseId(args.input.userId, ["User"]);
+      const friendId = parseId(args.input.friendId, ["User"]);
+      assertSelfOrAdmin(context.currentUser, userId);
+      const user = await findUser(context, userId);
+      const friend = await findUser(context, friendId);
+
+      await unlinkFriend(context, friend.id, user.id);
+      return unlinkFriend(context, user.id, friend.id);
+    },
+    // FAVORITE MOVIES MUTATIONS
+    /**
+     * DataLoader caches the loaded values, so after changing the favorites we need to refresh
+     * the cached values of the changed user and movie - otherwise the next "favoritedBy" or "friends"
+     * resolvers in the same request would return the old data.
+     */
+    addFavoriteMovie: async (parent, args, context) => {
+      const userId = parseId(args.input.userId, ["User"]);
+      const movieId = parseId(args.input.movieId, MOVIE_TYPES);
+      assertSelfOrAdmin(context.currentUser, userId);
+      const user = await findUser(context, userId);
+      const movie = await findMovie(context, movieId);
+
+      const updated = await changeUser(context, "User", user, (current) => ({
+        favoriteMovies: _.union(current.favoriteMovies || [], [movie.id]),
+      }));
+      context.loaders.usersByFavoriteMovieId.clear(movie.id);
+      publishUserUpdated(updated);
+      return updated;
+    },
+    removeFavoriteMovie: async (parent, args, context) => {
+      const userId = parseId(args.input.userId, ["User"]);
+      const movieId = parseId(args.input.movieId, MOVIE_TYPES);
+      assertSelfOrAdmin(context.currentUser, userId);
+      const user = await findUser(context, userId);
+
+      const updated = await changeUser(context, "User", user, (current) => ({
+        favoriteMovies: _.without(current.favoriteMovies || [], movieId),
+      }));
+      context.loaders.usersByFavoriteMovieId.clear(movieId);
+      publishUserUpdated(updated);
+      return updated;
+    },
+    // AUTHENTICATION
+    /**
+     * We return the same error for unknown username and wrong password, so nobody can
+     * find out which usernames exist.
+     * Users and admins are logging in the same way - the usernames are unique across both
+     * collections (see the @unique directive), so we just look into both of them.
+     */
+    login: async (parent, args, context) => {
+      const { username, password } = args;
+      const users = await context.dataSources.users.findAll();
+      const admins = await context.dataSources.admins.findAll();
+      const foundUser = _.find(users, { username });
+      // The type of the token is given by the collection, where the account was found
+      const entity = foundUser ? "User" : "Admin";
+      const user = foundUser || _.find(admins, { username });
+
+      if (
+        !user ||
+        isDeleted(user) ||
+        !verifyPassword(password, user.passwordHash)
+      ) {
+        throw unauthenticated("Invalid username or password");
+      }
+
+      const token = createToken(toGlobalId(entity, user.id));
+      return { token, user };
+    },
+  },
+  /**
+   * Subscription resolvers are different from the query/mutation resolvers - instead of a function
+   * returning the data, they have a "subscribe" function returning an AsyncIterator. Every value
+   * published to the PubSub under the given event name (see the mutations above) is then sent to the client.
+   *
+   * The sent value is the published payload (f.e. { userCreated: user }), the fields of the returned type
+   * (f.e. User.friends) are resolved as usual.
+   */
+  Subscription: {
+    userCreated: {
+      subscribe: () => subscribeTo(USER_CREATED),
+      resolve: resolveSubscriptionEvent("userCreated"),
+    },
+    userUpdated: {
+      subscribe: () => subscribeTo(USER_UPDATED),
+      resolve: resolveSubscriptionEvent("userUpdated"),
+    },
+    userDeleted: {
+      subscribe: () => subscribeTo(USER_DELETED),
+      resolve: resolveSubscriptionEvent("userDeleted"),
+    },
+  },
+};
+
+module.exports = { resolvers };
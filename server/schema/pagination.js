@@ -0,0 +1,115 @@
+const { validationFailed } = require("../errors");
+
+/**
+ * Cursor-based pagination (Relay-style connections)
+ *
+ * Instead of returning the whole list, the list queries are returning a "connection":
+ *
+ * users(first: 2, after: "YXJyYXljb25uZWN0aW9uOjE=") {
+ *   totalCount
+ *   edges {
+ *     cursor
+ *     node { ... }
+ *   }
+ *   pageInfo {
+ *     hasNextPage
+ *     endCursor
+ *   }
+ * }
+ *
+ * - edges - the items of the current page. Every item ("node") has its own "cursor".
+ * - cursor - an opaque string pointing to the position of the item in the list. The client
+ *   shouldn't care what is inside, it should just send it back in the "after" or "before" argument.
+ * - pageInfo - whether there are more items before/after the current page and the cursors
+ *   of the first and the last item of the page.
+ * - totalCount - count of all the items (not only on the current page).
+ *
+ * Arguments:
+ * - first + after - "give me the first N items after this cursor" (paging forward)
+ * - last + before - "give me the last N items before this cursor" (paging backward)
+ *
+ * Without "first" and "last" only the first DEFAULT_PAGE_SIZE items are returned - never the whole list.
+ * More than MAX_PAGE_SIZE items can't be requested at once, the client has to go page by page.
+ *
+ * More info: https://relay.dev/graphql/connections.htm
+ */
+const CURSOR_PREFIX = "arrayconnection:";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const offsetToCursor = (offset) =>
+  Buffer.from(`${CURSOR_PREFIX}${offset}`).toString("base64");
+
+const cursorToOffset = (cursor) => {
+  const decoded = Buffer.from(cursor, "base64").toString("utf-8");
+  const offset = Number(decoded.slice(CURSOR_PREFIX.length));
+
+  if (!decoded.startsWith(CURSOR_PREFIX) || !Number.isInteger(offset)) {
+    throw validationFailed(`Invalid cursor "${cursor}"`);
+  }
+
+  return offset;
+};
+
+const assertPageSize = (name, value) => {
+  if (value != null && value < 0) {
+    throw validationFailed(`Argument "${name}" can't be negative`, name);
+  }
+  if (value != null && value > MAX_PAGE_SIZE) {
+    throw validationFailed(
+      `Argument "${name}" can't be more than ${MAX_PAGE_SIZE}`,
+      name
+    );
+  }
+};
+
+/**
+ * Creates a connection object from the full list of items according to the
+ * first/after/last/before arguments.
+ * @template T
+ * @param {T[]} items
+ * @param {{ first?: number | null, after?: string | null, last?: number | null, before?: string | null }} args
+ */
+const connectionFromArray = (items, { first, after, last, before }) => {
+  assertPageSize("first", first);
+  assertPageSize("last", last);
+
+  if (first == null && last == null) {
+    first = DEFAULT_PAGE_SIZE;
+  }
+
+  let start = 0;
+  let end = items.length;
+
+  if (after != null) {
+    start = Math.max(start, cursorToOffset(after) + 1);
+  }
+  if (before != null) {
+    end = Math.min(end, cursorToOffset(before));
+  }
+  if (first != null) {
+    end = Math.min(end, start + first);
+  }
+  if (last != null) {
+    start = Math.max(start, end - last);
+  }
+
+  const edges = items.slice(start, Math.max(start, end)).map((node, index) => ({
+    node,
+    cursor: offsetToCursor(start + index),
+  }));
+
+  return {
+    edges,
+    totalCount: items.length,
+    pageInfo: {
+      hasPreviousPage: start > 0,
+      hasNextPage: end < items.length,
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+    },
+  };
+};
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, connectionFromArray };
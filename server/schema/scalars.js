@@ -0,0 +1,174 @@
+const {
+  GraphQLScalarType,
+  GraphQLError,
+  Kind,
+  print,
+  valueFromASTUntyped,
+} = require("graphql");
+
+/**
+ * Custom scalars
+ *
+ * GraphQL has only 5 built-in scalars (Int, Float, String, Boolean, ID). With custom scalars we can
+ * have our own "primitive" types with their own validation - f.e. an EmailAddress is a String, but not every
+ * String is an EmailAddress. The resolvers then don't need to check the values again.
+ *
+ * Every scalar has 3 functions:
+ * - serialize - converts the value from our resolvers to the value sent in the response
+ * - parseValue - converts the value sent in the variables (f.e. { "age": 20 }) to the value for our resolvers
+ * - parseLiteral - the same as parseValue, but for the values written directly in the query
+ *   (f.e. createUser(input: { age: 20 })) - the value is an AST node here, not a JS value
+ *
+ * If a value is not valid, the function throws an error - the client then gets the BAD_USER_INPUT (variables)
+ * or the GRAPHQL_VALIDATION_FAILED (literals) error and the resolver isn't executed at all.
+ *
+ * Our store is a JSON file, so the dates are kept as ISO strings there - parseValue returns the normalized
+ * string, not a Date object. The scalars must be also declared in the SDL (f.e. "scalar DateTime" in shared.graphql).
+ *
+ * More info: https://www.apollographql.com/docs/apollo-server/schema/custom-scalars
+ */
+const invalidValue = (scalarName, value, reason) =>
+  new GraphQLError(
+    `${scalarName} cannot represent ${JSON.stringify(value)}: ${reason}`
+  );
+
+/**
+ * Helper for the scalars sent as strings - the literal has to be a string too, the value itself
+ * is then checked by the same function as the variables.
+ */
+const parseStringLiteral = (scalarName, parseValue) => (ast) => {
+  if (ast.kind !== Kind.STRING) {
+    throw invalidValue(scalarName, print(ast), "must be a string");
+  }
+  return parseValue(ast.value);
+};
+
+// f.e. "2023-06-01T10:00:00.000Z" - the time zone is required, so the value is never ambiguous
+const DATE_TIME_FORMAT =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const parseDateTime = (value) => {
+  if (typeof value !== "string" || !DATE_TIME_FORMAT.test(value)) {
+    throw invalidValue(
+      "DateTime",
+      value,
+      'must be an ISO 8601 date-time with time zone, f.e. "2023-06-01T10:00:00Z"'
+    );
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw invalidValue("DateTime", value, "not an existing date-time");
+  }
+
+  return date.toISOString();
+};
+
+const DateTime = new GraphQLScalarType({
+  name: "DateTime",
+  description: 'Date and time in UTC, f.e. "2023-06-01T10:00:00.000Z"',
+  serialize: (value) =>
+    value instanceof Date ? value.toISOString() : parseDateTime(value),
+  parseValue: parseDateTime,
+  parseLiteral: parseStringLiteral("DateTime", parseDateTime),
+});
+
+// f.e. "2023-06-01"
+const DATE_FORMAT = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const parseDate = (value) => {
+  const match = typeof value === "string" && DATE_FORMAT.exec(value);
+
+  if (!match) {
+    throw invalidValue("Date", value, 'must be in format "YYYY-MM-DD"');
+  }
+
+  // new Date("2023-02-31") would be silently changed to 3rd March, so we check the parts
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw invalidValue("Date", value, "not an existing date");
+  }
+
+  return value;
+};
+
+const DateScalar = new GraphQLScalarType({
+  name: "Date",
+  description: 'Date without time, f.e. "2023-06-01"',
+  serialize: (value) =>
+    value instanceof Date ? value.toISOString().slice(0, 10) : parseDate(value),
+  parseValue: parseDate,
+  parseLiteral: parseStringLiteral("Date", parseDate),
+});
+
+// Simplified check - something@domain.tld without spaces
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseEmailAddress = (value) => {
+  if (typeof value !== "string" || !EMAIL_FORMAT.test(value.trim())) {
+    throw invalidValue("EmailAddress", value, "not a valid email address");
+  }
+  return value.trim();
+};
+
+const EmailAddress = new GraphQLScalarType({
+  name: "EmailAddress",
+  description: 'Email address, f.e. "john@example.com"',
+  serialize: parseEmailAddress,
+  parseValue: parseEmailAddress,
+  parseLiteral: parseStringLiteral("EmailAddress", parseEmailAddress),
+});
+
+// The same limits as the built-in Int - GraphQL integers are 32-bit
+const MAX_INT = 2147483647;
+
+const parseNonNegativeInt = (value) => {
+  if (!Number.isInteger(value) || value > MAX_INT) {
+    throw invalidValue("NonNegativeInt", value, "not an integer");
+  }
+  if (value < 0) {
+    throw invalidValue("NonNegativeInt", value, "must be 0 or more");
+  }
+  return value;
+};
+
+const NonNegativeInt = new GraphQLScalarType({
+  name: "NonNegativeInt",
+  description: "Integer equal or greater than 0",
+  serialize: parseNonNegativeInt,
+  parseValue: parseNonNegativeInt,
+  parseLiteral: (ast) => {
+    if (ast.kind !== Kind.INT) {
+      throw invalidValue("NonNegativeInt", print(ast), "not an integer");
+    }
+    return parseNonNegativeInt(Number(ast.value));
+  },
+});
+
+/**
+ * Any JSON value - no validation at all, so it should be used only for data without a fixed shape
+ * (f.e. the snapshots of the records in the audit log). For everything else a real type is better.
+ */
+const JSONScalar = new GraphQLScalarType({
+  name: "JSON",
+  description: "Any JSON value",
+  serialize: (value) => value,
+  parseValue: (value) => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables),
+});
+
+/**
+ * The scalars are used as resolvers - the key is the name of the scalar in the SDL.
+ */
+const scalarResolvers = {
+  DateTime,
+  Date: DateScalar,
+  EmailAddress,
+  NonNegativeInt,
+  JSON: JSONScalar,
+};
+
+module.exports = { scalarResolvers };
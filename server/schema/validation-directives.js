@@ -0,0 +1,204 @@
+const { mapSchema, getDirective, MapperKind } = require("@graphql-tools/utils");
+const {
+  defaultFieldResolver,
+  getNamedType,
+  getNullableType,
+  isInputObjectType,
+  isListType,
+} = require("graphql");
+const { invalidFields } = require("../errors");
+const { toNumericId } = require("./global-id");
+
+/**
+ * Validation directives
+ *
+ * Instead of checking the input values in every resolver, we describe the rules right in the type definitions:
+ *
+ * input CreateUserInput {
+ *   username: String! @length(min: 3, max: 30) @unique(collections: ["users", "admins"], field: "username")
+ *   age: Int! @range(min: 0, max: 150)
+ * }
+ *
+ * The same as with the @auth directive (see auth-directive.js), GraphQL only knows that the directives exist.
+ * Here we wrap the resolver of every field with validated arguments - before the resolver runs, we go through
+ * all the arguments (and the fields of the input objects in them), check the rules of every value and
+ * if some of them fail, the resolver isn't executed and the client gets a VALIDATION_FAILED error with the
+ * list of all the invalid fields:
+ *
+ * "extensions": {
+ *   "code": "VALIDATION_FAILED",
+ *   "fieldErrors": [
+ *     { "field": "username", "path": ["input", "username"], "message": "Must be at least 3 characters long" }
+ *   ]
+ * }
+ *
+ * So the client can show every message next to the right input (see DisplayData.jsx).
+ * Null values (not sent optional fields) are never validated.
+ */
+const RULES = {
+  length: ({ min, max }, value) => {
+    if (min === 1 && value.length === 0) {
+      return "Can't be empty";
+    }
+    if (min != null && value.length < min) {
+      return `Must be at least ${min} characters long`;
+    }
+    if (max != null && value.length > max) {
+      return `Must be at most ${max} characters long`;
+    }
+    return null;
+  },
+  pattern: ({ regex, message }, value) => {
+    if (!new RegExp(regex).test(value)) {
+      return message || `Must match the pattern ${regex}`;
+    }
+    return null;
+  },
+  range: ({ min, max }, value) => {
+    if (min != null && value < min) {
+      return `Must be at least ${min}`;
+    }
+    if (max != null && value > max) {
+      return `Must be at most ${max}`;
+    }
+    return null;
+  },
+  /**
+   * The value has to be unique in all the given collections (f.e. a username can't be used by a user
+   * and an admin at the same time, they are logging in the same way). If the validated input object has
+   * an "id" (f.e. UpdateUserInput), the record with this ID in the first collection is ignored - a user
+   * can keep his own username. The "id" can be a global ID (see global-id.js).
+   * Two requests running at the same time can both pass this check, so the repositories are checking
+   * the same rules again while saving the record (see "unique" in data/repository.js).
+   */
+  unique: async ({ collections, field }, value, { context, parentValue }) => {
+    const ownId = toNumericId(parentValue?.id);
+    const owners = await Promise.all(
+      collections.map(async (collection, index) => {
+        const records = await context.dataSources[collection].findAll();
+        const owner = records.find((record) => record[field] === value);
+        return owner && !(index === 0 && owner.id === ownId);
+      })
+    );
+
+    if (owners.some(Boolean)) {
+      return `"${value}" is already taken`;
+    }
+    return null;
+  },
+};
+
+const RULE_NAMES = Object.keys(RULES);
+
+const getRules = (schema, fieldOrArg) =>
+  RULE_NAMES.flatMap((name) =>
+    (getDirective(schema, fieldOrArg, name) || []).map((args) => ({
+      name,
+      args,
+    }))
+  );
+
+/**
+ * Checks a value of an argument or an input field and returns the list of field errors.
+ * For input objects and lists it goes deeper into the nested values.
+ */
+const validateValue = async (schema, definition, value, path, options) => {
+  if (value == null) {
+    return [];
+  }
+
+  const errors = [];
+
+  for (const rule of getRules(schema, definition)) {
+    const message = await RULES[rule.name](rule.args, value, options);
+
+    if (message) {
+      errors.push({ field: definition.name, path, message });
+    }
+  }
+
+  const type = getNullableType(definition.type);
+  const namedType = getNamedType(type);
+
+  if (isInputObjectType(namedType)) {
+    const items = isListType(type) ? value : [value];
+
+    for (const [index, item] of items.entries()) {
+      const itemPath = isListType(type) ? [...path, index] : path;
+
+      for (const field of Object.values(namedType.getFields())) {
+        errors.push(
+          ...(await validateValue(
+            schema,
+            field,
+            item[field.name],
+            [...itemPath, field.name],
+            { ...options, parentValue: item }
+          ))
+        );
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Whether some argument of the field (or some field of its input types) has a validation directive,
+ * so we wrap only the resolvers which really need it.
+ */
+const hasRules = (schema, definition, visited = new Set()) => {
+  if (getRules(schema, definition).length) {
+    return true;
+  }
+
+  const namedType = getNamedType(definition.type);
+
+  if (!isInputObjectType(namedType) || visited.has(namedType)) {
+    return false;
+  }
+
+  visited.add(namedType);
+  return Object.values(namedType.getFields()).some((field) =>
+    hasRules(schema, field, visited)
+  );
+};
+
+const validationDirectiveTransformer = (schema) =>
+  mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+      const args = Object.entries(fieldConfig.args || {}).map(
+        ([name, argConfig]) => ({ ...argConfig, name })
+      );
+
+      if (!args.some((arg) => hasRules(schema, arg))) {
+        return fieldConfig;
+      }
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      fieldConfig.resolve = async (source, resolverArgs, context, info) => {
+        const errors = [];
+
+        for (const arg of args) {
+          errors.push(
+            ...(await validateValue(
+              schema,
+              arg,
+              resolverArgs[arg.name],
+              [arg.name],
+              { context, parentValue: resolverArgs }
+            ))
+          );
+        }
+
+        if (errors.length) {
+          throw invalidFields(errors);
+        }
+
+        return resolve(source, resolverArgs, context, info);
+      };
+      return fieldConfig;
+    },
+  });
+
+module.exports = { validationDirectiveTransformer };
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  buildSchema,
+  printSchema,
+  lexicographicSortSchema,
+} = require("graphql");
+const { makeExecutableSchema } = require("@graphql-tools/schema");
+const { typeDefs } = require("../schema");
+const {
+  findSchemaChanges,
+  findAffectedOperations,
+  findInvalidOperations,
+} = require("../schema/changes");
+
+/**
+ * Schema change detection
+ *
+ * The schema the clients were built against is kept as an SDL snapshot in schema/snapshot.graphql (committed
+ * with the code). After changing the schema modules, compare the current schema with the snapshot:
+ *
+ * npm run schema:diff
+ *
+ * It prints the breaking, dangerous and safe changes (see schema/changes.js) and the client operations
+ * affected by them. The client operations are read from persisted-queries.json - the manifest of all
+ * the gql documents of the client (f.e. GetAllUsers from DisplayData.jsx), so regenerate it first
+ * with "npm run persisted-queries" in the client, if the client changed too.
+ *
+ * The command fails, if there is any breaking change or some client operation is not valid against
+ * the new schema. If the change is intended (and the clients are updated), accept it by updating the snapshot:
+ *
+ * npm run schema:snapshot
+ */
+const SNAPSHOT_FILE = path.join(__dirname, "..", "schema", "snapshot.graphql");
+const MANIFEST_FILE = path.join(__dirname, "..", "persisted-queries.json");
+
+// Sorted, so the snapshot doesn't change, when the types are only moved between the modules
+const printSnapshot = (schema) => printSchema(lexicographicSortSchema(schema));
+
+const loadOperations = () => {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    return [];
+  }
+
+  return JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf-8")).operations;
+};
+
+const printChanges = (title, changes, operations, oldSchema) => {
+  console.log(`\n${title} (${changes.length})`);
+
+  changes.forEach((change) => {
+    console.log(`  ${change.type}: ${change.description}`);
+
+    const affected = findAffectedOperations(change, operations, oldSchema);
+    if (affected.length > 0) {
+      console.log(`    used by: ${affected.join(", ")}`);
+    }
+  });
+};
+
+const currentSdl = printSnapshot(makeExecutableSchema({ typeDefs }));
+
+if (process.argv.includes("--update") || !fs.existsSync(SNAPSHOT_FILE)) {
+  fs.writeFileSync(SNAPSHOT_FILE, `${currentSdl}\n`);
+  console.log(`Schema snapshot written to ${SNAPSHOT_FILE}`);
+  process.exit(0);
+}
+
+const oldSchema = buildSchema(fs.readFileSync(SNAPSHOT_FILE, "utf-8"));
+const newSchema = buildSchema(currentSdl);
+const operations = loadOperations();
+
+const { breaking, dangerous, safe } = findSchemaChanges(oldSchema, newSchema);
+const invalidOperations = findInvalidOperations(operations, newSchema);
+
+printChanges("Breaking changes", breaking, operations, oldSchema);
+printChanges("Dangerous changes", dangerous, operations, oldSchema);
+printChanges("Safe changes", safe, operations, oldSchema);
+
+console.log(
+  `\nClient operations invalid against the new schema (${invalidOperations.length})`
+);
+invalidOperations.forEach(({ name, errors }) =>
+  errors.forEach((error) => console.log(`  ${name}: ${error}`))
+);
+
+if (breaking.length > 0 || invalidOperations.length > 0) {
+  console.log(
+    "\nThe schema has breaking changes. If they are intended, update the snapshot: npm run schema:snapshot"
+  );
+  process.exit(1);
+}
@@ -0,0 +1,226 @@
+const { buildSchema, parse } = require("graphql");
+const {
+  findDeprecations,
+  collectDeprecatedUsage,
+} = require("../schema/deprecations");
+const { ADMIN, JOHN, createTestServer, errorCodes } = require("./helpers");
+const { MAX_CLIENTS_PER_COORDINATE } = require("../plugins/deprecation-usage");
+
+const schema = buildSchema(`
+  type Query {
+    users(filter: UsersFilter, first: Int @deprecated(reason: "Use limit"), limit: Int): [User!]!
+  }
+
+  type User {
+    name: String!
+    fullName: String @deprecated(reason: "Use name")
+    nationality: Nationality
+  }
+
+  input UsersFilter {
+    nationality: Nationality
+    minAge: Int @deprecated(reason: "Use ageRange")
+  }
+
+  enum Nationality {
+    CANADA
+    BRAZIL @deprecated(reason: "Not supported")
+  }
+`);
+
+const collect = (query, variables) => {
+  const document = parse(query);
+
+  return collectDeprecatedUsage({
+    schema,
+    document,
+    operation: document.definitions[0],
+    variables,
+  });
+};
+
+it("finds all the deprecated parts of the schema", () => {
+  expect(findDeprecations(schema)).toEqual([
+    { coordinate: "Query.users(first:)", reason: "Use limit" },
+    { coordinate: "User.fullName", reason: "Use name" },
+    { coordinate: "UsersFilter.minAge", reason: "Use ageRange" },
+    { coordinate: "Nationality.BRAZIL", reason: "Not supported" },
+  ]);
+});
+
+describe("collectDeprecatedUsage", () => {
+  it("returns nothing for an operation without the deprecated parts", () => {
+    expect(
+      collect(`{ users(limit: 5, filter: { nationality: CANADA }) { name } }`)
+    ).toEqual([]);
+  });
+
+  it("finds the deprecated fields, arguments, input fields and enum values", () => {
+    expect(
+      collect(`
+        query Users {
+          users(first: 5, filter: { minAge: 20, nationality: BRAZIL }) {
+            ...UserFields
+          }
+        }
+
+        fragment UserFields on User {
+          fullName
+        }
+      `)
+    ).toEqual([
+      "Query.users(first:)",
+      "UsersFilter.minAge",
+      "Nationality.BRAZIL",
+      "User.fullName",
+    ]);
+  });
+
+  it("finds the deprecated input fields and enum values in the variables", () => {
+    const query = `
+      query Users($filter: UsersFilter) {
+        users(filter: $filter) {
+          name
+        }
+      }
+    `;
+
+    expect(
+      collect(query, { filter: { minAge: 20, nationality: "BRAZIL" } })
+    ).toEqual(["UsersFilter.minAge", "Nationality.BRAZIL"]);
+    expect(collect(query, { filter: { nationality: "CANADA" } })).toEqual([]);
+  });
+});
+
+describe("deprecatedUsage", () => {
+  const UPDATE_USERNAME = `
+    mutation UpdateUsername($input: UpdateUsernameInput!) {
+      updateUsername(input: $input) {
+        username
+      }
+    }
+  `;
+  const DEPRECATED_USAGE = `
+    {
+      deprecatedUsage {
+        coordinate
+        reason
+        totalCount
+        clients {
+          clientName
+          clientVersion
+          operationName
+          count
+        }
+      }
+    }
+  `;
+
+  let server;
+
+  beforeEach(() => {
+    server = createTestServer();
+  });
+
+  const findUsage = (result, coordinate) =>
+    result.data.deprecatedUsage.find((item) => item.coordinate === coordinate);
+
+  it("returns the unused deprecated fields too", async () => {
+    const result = await server.execute(DEPRECATED_USAGE, { as: ADMIN });
+
+    expect(findUsage(result, "Mutation.updateUsername")).toEqual({
+      coordinate: "Mutation.updateUsername",
+      reason: "Use updateUser",
+      totalCount: 0,
+      clients: [],
+    });
+  });
+
+  it("counts the usage by the client name and the operation", async () => {
+    const variables = { input: { id: "1", newUsername: "johnny" } };
+    const headers = {
+      "apollographql-client-name": "web",
+      "apollographql-client-version": "1.0.0",
+    };
+    await server.execute(UPDATE_USERNAME, { as: JOHN, variables, headers });
+    await server.execute(UPDATE_USERNAME, { as: JOHN, variables, headers });
+    await server.execute(
+      `mutation { updateUsername(input: { id: "1", newUsername: "john" }) { id } }`,
+      { as: JOHN }
+    );
+    // Not using any deprecated field
+    await server.execute(
+      `mutation { updateUser(input: { id: "1", age: 30 }) { id } }`,
+      { as: JOHN, headers }
+    );
+
+    const result = await server.execute(DEPRECATED_USAGE, { as: ADMIN });
+
+    expect(findUsage(result, "Mutation.updateUsername")).toMatchObject({
+      totalCount: 3,
+      clients: expect.arrayContaining([
+        {
+          clientName: "web",
+          clientVersion: "1.0.0",
+          operationName: "UpdateUsername",
+          count: 2,
+        },
+        {
+          clientName: null,
+          clientVersion: null,
+          operationName: null,
+          count: 1,
+        },
+      ]),
+    });
+  });
+
+  it("doesn't record the failed operations", async () => {
+    // Without login - rejected by @auth
+    const rejected = await server.execute(UPDATE_USERNAME, {
+      variables: { input: { id: "1", newUsername: "johnny" } },
+    });
+    const result = await server.execute(DEPRECATED_USAGE, { as: ADMIN });
+
+    expect(errorCodes(rejected)).toEqual(["UNAUTHENTICATED"]);
+    expect(findUsage(result, "Mutation.updateUsername").totalCount).toBe(0);
+  });
+
+  it("counts the clients over the limit together", async () => {
+    const useBy = (clientName, index) =>
+      server.execute(UPDATE_USERNAME, {
+        as: JOHN,
+        variables: { input: { id: "1", newUsername: `john_${index}` } },
+        headers: { "apollographql-client-name": clientName },
+      });
+
+    for (let index = 0; index < MAX_CLIENTS_PER_COORDINATE + 2; index++) {
+      await useBy(`client-${index}`, index);
+    }
+    // Already recorded before reaching the limit
+    await useBy("client-0", "again");
+
+    const { clients, totalCount } = findUsage(
+      await server.execute(DEPRECATED_USAGE, { as: ADMIN }),
+      "Mutation.updateUsername"
+    );
+
+    expect(totalCount).toBe(MAX_CLIENTS_PER_COORDINATE + 3);
+    expect(clients).toHaveLength(MAX_CLIENTS_PER_COORDINATE + 1);
+    expect(clients).toContainEqual({
+      clientName: "other",
+      clientVersion: null,
+      operationName: null,
+      count: 2,
+    });
+    expect(clients).toContainEqual(
+      expect.objectContaining({ clientName: "client-0", count: 2 })
+    );
+  });
+
+  it("is only for the admins", async () => {
+    expect(
+      errorCodes(await server.execute(DEPRECATED_USAGE, { as: JOHN }))
+    ).toEqual(["FORBIDDEN"]);
+  });
+});
@@ -0,0 +1,88 @@
+const { HeaderMap } = require("@apollo/server");
+const { createApolloServer } = require("../index");
+const { buildContext } = require("../context");
+const { createDataSources, seed } = require("../data");
+const { createMemoryStore } = require("../data/memory-store");
+const { createToken } = require("../auth");
+const { toGlobalId } = require("../schema/global-id");
+
+/**
+ * Test harness
+ *
+ * The operations are executed against the same Apollo server as in index.js (with all the plugins), but
+ * in-process - server.executeOperation runs the whole request pipeline without the HTTP server.
+ *
+ * Every createTestServer() call gets fresh fixture data (a memory store seeded from FakeData.js, see
+ * data/index.js) and a fresh response cache, so the tests can change the data without affecting each other.
+ * The "options" are passed to createApolloServer (f.e. { allowlistOnly: true }). Call it in beforeEach:
+ *
+ * let server;
+ * beforeEach(() => {
+ *   server = createTestServer();
+ * });
+ *
+ * const result = await server.execute(`{ me { __typename } }`, { as: SUPERADMIN });
+ */
+
+// The accounts from FakeData.js - [type, id]
+const SUPERADMIN = ["Admin", 1];
+const ADMIN = ["Admin", 2];
+const JOHN = ["User", 1];
+const PEDRO = ["User", 2];
+
+// The password of all the accounts in FakeData.js
+const PASSWORD = "password123";
+
+const authorizationFor = ([type, id]) =>
+  `Bearer ${createToken(toGlobalId(type, id))}`;
+
+const createTestServer = (options = {}) => {
+  const dataSources = createDataSources(createMemoryStore({ seed }));
+  // The telemetry logs are not needed in the tests
+  const server = createApolloServer({ log: () => {}, ...options });
+
+  /**
+   * "as" - the logged in account (f.e. SUPERADMIN), "authorization" - the raw header (f.e. an invalid token),
+   * "headers" - other HTTP headers of the request (f.e. the client name), "extensions" - f.e. the hash
+   * of a persisted query (the query is then undefined).
+   * Returns the { data, errors } of the response.
+   */
+  const execute = async (
+    query,
+    { variables, as, authorization, headers = {}, extensions } = {}
+  ) => {
+    const contextValue = await buildContext({
+      authorization: as ? authorizationFor(as) : authorization,
+      dataSources,
+    });
+    const http = {
+      method: "POST",
+      headers: new HeaderMap(Object.entries(headers)),
+      search: "",
+      body: null,
+    };
+    const response = await server.executeOperation(
+      { query, variables, extensions, http },
+      { contextValue }
+    );
+
+    return response.body.singleResult;
+  };
+
+  return { dataSources, execute };
+};
+
+// The "extensions.code" of all the errors of the response - see errors.js
+const errorCodes = (result) =>
+  (result.errors || []).map((error) => error.extensions.code);
+
+module.exports = {
+  SUPERADMIN,
+  ADMIN,
+  JOHN,
+  PEDRO,
+  PASSWORD,
+  authorizationFor,
+  createTestServer,
+  errorCodes,
+};
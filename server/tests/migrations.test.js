@@ -0,0 +1,66 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createDataSources } = require("../data");
+const { createJsonFileStore } = require("../data/json-file-store");
+
+// A data file written before the admins got their own collection and before the records got their metadata
+const OLD_DATA = {
+  users: [
+    { id: 1, name: "John", username: "john", age: 22, friends: [] },
+    {
+      id: 6,
+      name: "Admin",
+      username: "admin",
+      role: "SUPERADMIN",
+      passwordHash: "hash",
+    },
+  ],
+  movies: [{ id: 1, name: "Avengers Endgame", yearOfPublication: 2019 }],
+};
+
+let filePath;
+
+beforeEach(() => {
+  filePath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "migrations-")),
+    "db.json"
+  );
+  fs.writeFileSync(filePath, JSON.stringify(OLD_DATA));
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+const loadDataSources = () =>
+  createDataSources(createJsonFileStore({ filePath, seed: {} }));
+
+it("moves the admins from the users into their own collection", async () => {
+  const { users, admins } = loadDataSources();
+
+  expect((await users.findAll()).map((user) => user.id)).toEqual([1]);
+  expect(await admins.findById(6)).toEqual(
+    expect.objectContaining({ username: "admin", role: "SUPERADMIN" })
+  );
+  expect((await admins.insert({ username: "new" })).id).toBe(7);
+});
+
+it("adds the missing metadata and keeps the existing ones", async () => {
+  const { users, movies } = loadDataSources();
+  await users.update(1, { age: 23 }, { expectedVersion: 1 });
+
+  expect(await movies.findById(1)).toEqual(
+    expect.objectContaining({
+      version: 1,
+      createdAt: "2023-01-01T00:00:00.000Z",
+      updatedAt: "2023-01-01T00:00:00.000Z",
+    })
+  );
+
+  // Loading the migrated file again changes nothing
+  const user = await loadDataSources().users.findById(1);
+  expect(user).toEqual(expect.objectContaining({ age: 23, version: 2 }));
+  expect(user.updatedAt).not.toBe("2023-01-01T00:00:00.000Z");
+});
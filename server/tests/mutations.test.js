@@ -0,0 +1,574 @@
+const {
+  SUPERADMIN,
+  ADMIN,
+  JOHN,
+  PEDRO,
+  PASSWORD,
+  createTestServer,
+  errorCodes,
+} = require("./helpers");
+const { toGlobalId } = require("../schema/global-id");
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer();
+});
+
+describe("createUser", () => {
+  const CREATE_USER = `
+    mutation CreateUser($input: CreateUserInput!) {
+      createUser(input: $input) {
+        id
+        username
+        nationality
+        version
+        friends {
+          id
+        }
+      }
+    }
+  `;
+
+  it("creates the user with the next ID and the default nationality", async () => {
+    const result = await server.execute(CREATE_USER, {
+      variables: {
+        input: { name: "Eva", username: "eva_1", age: 30, password: PASSWORD },
+      },
+    });
+
+    expect(result.data.createUser).toEqual({
+      id: toGlobalId("User", 6),
+      username: "eva_1",
+      nationality: "BRAZIL",
+      version: 1,
+      friends: [],
+    });
+    // The new user can log in
+    const login = await server.execute(
+      `mutation { login(username: "eva_1", password: "${PASSWORD}") { token } }`
+    );
+    expect(login.data.login.token).toEqual(expect.any(String));
+  });
+
+  it("fails with VALIDATION_FAILED for all the invalid fields at once", async () => {
+    const result = await server.execute(CREATE_USER, {
+      variables: {
+        input: { name: "", username: "e v", age: 200, email: "eva@x.io" },
+      },
+    });
+
+    expect(errorCodes(result)).toEqual(["VALIDATION_FAILED"]);
+    expect(
+      result.errors[0].extensions.fieldErrors.map((error) => error.field)
+    ).toEqual(["name", "username", "age"]);
+  });
+
+  it("fails with VALIDATION_FAILED for a username used by a user or an admin", async () => {
+    const input = { name: "Eva", age: 30 };
+
+    for (const username of ["john", "andrew001"]) {
+      const result = await server.execute(CREATE_USER, {
+        variables: { input: { ...input, username } },
+      });
+
+      expect(errorCodes(result)).toEqual(["VALIDATION_FAILED"]);
+    }
+  });
+
+  it("creates only one of two users with the same username created at the same time", async () => {
+    const input = { name: "Eva", username: "dupname", age: 30 };
+    const results = await Promise.all([
+      server.execute(CREATE_USER, { variables: { input } }),
+      server.execute(CREATE_USER, { variables: { input } }),
+    ]);
+
+    expect(results.map(errorCodes).sort()).toEqual([[], ["VALIDATION_FAILED"]]);
+    const users = await server.dataSources.users.findAll();
+    expect(users.filter((user) => user.username === "dupname")).toHaveLength(1);
+  });
+
+  it("fails with BAD_USER_INPUT for an invalid scalar value", async () => {
+    const result = await server.execute(CREATE_USER, {
+      variables: {
+        input: { name: "Eva", username: "eva", age: -1, email: "no-email" },
+      },
+    });
+
+    // One error for every invalid value - "age" and "email"
+    expect(errorCodes(result)).toEqual(["BAD_USER_INPUT", "BAD_USER_INPUT"]);
+  });
+});
+
+describe("updateUser", () => {
+  const UPDATE_USER = `
+    mutation UpdateUser($input: UpdateUserInput!) {
+      updateUser(input: $input) {
+        name
+        username
+        age
+        nationality
+        version
+      }
+    }
+  `;
+
+  it("changes only the given fields", async () => {
+    const result = await server.execute(UPDATE_USER, {
+      as: JOHN,
+      variables: {
+        input: { id: "1", version: 1, age: 21, nationality: "GERMANY" },
+      },
+    });
+
+    expect(result.data.updateUser).toEqual({
+      name: "John",
+      username: "john",
+      age: 21,
+      nationality: "GERMANY",
+      version: 2,
+    });
+  });
+
+  it("fails with VALIDATION_FAILED for a username used by somebody else", async () => {
+    const result = await server.execute(UPDATE_USER, {
+      as: ADMIN,
+      variables: { input: { id: "1", username: "PedroTech", name: "" } },
+    });
+
+    expect(errorCodes(result)).toEqual(["VALIDATION_FAILED"]);
+    expect(
+      result.errors[0].extensions.fieldErrors.map((error) => error.field)
+    ).toEqual(["name", "username"]);
+  });
+
+  it("fails with FORBIDDEN for somebody else's user", async () => {
+    const result = await server.execute(UPDATE_USER, {
+      as: PEDRO,
+      variables: { input: { id: "1", age: 30 } },
+    });
+
+    expect(errorCodes(result)).toEqual(["FORBIDDEN"]);
+  });
+});
+
+describe("updateUsername", () => {
+  const UPDATE_USERNAME = `
+    mutation UpdateUsername($input: UpdateUsernameInput!) {
+      updateUsername(input: $input) {
+        username
+        version
+      }
+    }
+  `;
+
+  it("lets the users change their own username", async () => {
+    const result = await server.execute(UPDATE_USERNAME, {
+      as: JOHN,
+      variables: { input: { id: "1", newUsername: "john", version: 1 } },
+    });
+
+    expect(result.data.updateUsername).toEqual({
+      username: "john",
+      version: 2,
+    });
+  });
+
+  it("lets the admins change anyone's username", async () => {
+    const result = await server.execute(UPDATE_USERNAME, {
+      as: ADMIN,
+      variables: { input: { id: "2", newUsername: "pedro" } },
+    });
+
+    expect(result.data.updateUsername.username).toBe("pedro");
+  });
+
+  it("fails with UNAUTHENTICATED and FORBIDDEN", async () => {
+    const variables = { input: { id: "1", newUsername: "johnny" } };
+
+    expect(
+      errorCodes(await server.execute(UPDATE_USERNAME, { variables }))
+    ).toEqual(["UNAUTHENTICATED"]);
+    expect(
+      errorCodes(
+        await server.execute(UPDATE_USERNAME, { variables, as: PEDRO })
+      )
+    ).toEqual(["FORBIDDEN"]);
+  });
+
+  it("fails with CONFLICT for an outdated version", async () => {
+    await server.execute(UPDATE_USERNAME, {
+      as: JOHN,
+      variables: { input: { id: "1", newUsername: "johnny", version: 1 } },
+    });
+    const result = await server.execute(UPDATE_USERNAME, {
+      as: JOHN,
+      variables: { input: { id: "1", newUsername: "johnny2", version: 1 } },
+    });
+
+    expect(errorCodes(result)).toEqual(["CONFLICT"]);
+    expect(result.errors[0].extensions.currentVersion).toBe(2);
+  });
+});
+
+describe("deleteUser and restoreUser", () => {
+  it("hides the deleted user and brings him back", async () => {
+    const deleted = await server.execute(
+      `mutation { deleteUser(id: "1") { deletedAt } }`,
+      { as: ADMIN }
+    );
+    expect(deleted.data.deleteUser.deletedAt).toEqual(expect.any(String));
+
+    // Hidden in the queries and in the friends of the others, the login doesn't work
+    expect(
+      errorCodes(await server.execute(`{ user(id: "1") { name } }`))
+    ).toEqual(["NOT_FOUND"]);
+    const pedro = await server.execute(
+      `{ user(id: "2") { friends { username } } }`
+    );
+    expect(pedro.data.user.friends).toEqual([{ username: "cameron" }]);
+    expect(
+      errorCodes(
+        await server.execute(
+          `mutation { login(username: "john", password: "${PASSWORD}") { token } }`
+        )
+      )
+    ).toEqual(["UNAUTHENTICATED"]);
+
+    const restored = await server.execute(
+      `mutation { restoreUser(id: "1") { deletedAt friends { username } } }`,
+      { as: ADMIN }
+    );
+    expect(restored.data.restoreUser).toEqual({
+      deletedAt: null,
+      friends: [{ username: "PedroTech" }, { username: "kelly2019" }],
+    });
+  });
+
+  it("fails with CONFLICT when restoring a not deleted user", async () => {
+    const result = await server.execute(
+      `mutation { restoreUser(id: "1") { id } }`,
+      { as: ADMIN }
+    );
+
+    expect(errorCodes(result)).toEqual(["CONFLICT"]);
+  });
+
+  it("is only for the admins", async () => {
+    const result = await server.execute(
+      `mutation { deleteUser(id: "2") { id } }`,
+      { as: JOHN }
+    );
+
+    expect(errorCodes(result)).toEqual(["FORBIDDEN"]);
+  });
+});
+
+describe("friendship", () => {
+  const FRIENDS = `{ user(id: "3") { friends { username } } }`;
+
+  it("adds and removes the friend on both sides", async () => {
+    const added = await server.execute(
+      `mutation { addFriend(input: { userId: "1", friendId: "3" }) { friends { username } } }`,
+      { as: JOHN }
+    );
+    expect(added.data.addFriend.friends).toEqual([
+      { username: "PedroTech" },
+      { username: "kelly2019" },
+      { username: "cameron" },
+    ]);
+    expect((await server.execute(FRIENDS)).data.user.friends).toContainEqual({
+      username: "john",
+    });
+
+    await server.execute(
+      `mutation { removeFriend(input: { userId: "1", friendId: "3" }) { id } }`,
+      { as: JOHN }
+    );
+    expect(
+      (await server.execute(FRIENDS)).data.user.friends
+    ).not.toContainEqual({ username: "john" });
+  });
+
+  it("fails with VALIDATION_FAILED for a friendship with himself", async () => {
+    const result = await server.execute(
+      `mutation { addFriend(input: { userId: "1", friendId: "1" }) { id } }`,
+      { as: JOHN }
+    );
+
+    expect(errorCodes(result)).toEqual(["VALIDATION_FAILED"]);
+  });
+});
+
+describe("favorite movies", () => {
+  it("adds and removes the favorite movie", async () => {
+    const movieId = toGlobalId("TvMovie", 5);
+    const added = await server.execute(
+      `mutation Add($movieId: ID!) {
+        addFavoriteMovie(input: { userId: "1", movieId: $movieId }) { favoriteMovies { name } }
+      }`,
+      { as: JOHN, variables: { movieId } }
+    );
+    expect(added.data.addFavoriteMovie.favoriteMovies).toContainEqual({
+      name: "American Pie 6",
+    });
+
+    const removed = await server.execute(
+      `mutation Remove($movieId: ID!) {
+        removeFavoriteMovie(input: { userId: "1", movieId: $movieId }) { favoriteMovies { name } }
+      }`,
+      { as: JOHN, variables: { movieId } }
+    );
+    expect(removed.data.removeFavoriteMovie.favoriteMovies).toEqual([
+      { name: "Interstellar" },
+      { name: "Superbad" },
+    ]);
+  });
+
+  it("fails with NOT_FOUND for an unknown movie", async () => {
+    const result = await server.execute(
+      `mutation { addFavoriteMovie(input: { userId: "1", movieId: "99" }) { id } }`,
+      { as: JOHN }
+    );
+
+    expect(errorCodes(result)).toEqual(["NOT_FOUND"]);
+  });
+
+  it("keeps all the favorite movies added at the same time", async () => {
+    const results = await Promise.all(
+      ["1", "3", "4", "5"].map((movieId) =>
+        server.execute(
+          `mutation Add($movieId: ID!) {
+            addFavoriteMovie(input: { userId: "3", movieId: $movieId }) { id }
+          }`,
+          { as: SUPERADMIN, variables: { movieId } }
+        )
+      )
+    );
+
+    expect(results.flatMap(errorCodes)).toEqual([]);
+    const user = await server.dataSources.users.findById(3);
+    expect(user.favoriteMovies.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe("movie mutations", () => {
+  const CREATE_MOVIE = `
+    mutation CreateMovie($input: CreateMovieInput!) {
+      createMovie(input: $input) {
+        __typename
+        id
+        name
+      }
+    }
+  `;
+
+  it("creates, updates and deletes a movie", async () => {
+    const created = await server.execute(CREATE_MOVIE, {
+      as: ADMIN,
+      variables: {
+        input: {
+          type: "TV_MOVIE",
+          name: "Friends",
+          yearOfPublication: 1994,
+          yearFirstAired: 1994,
+        },
+      },
+    });
+    const id = toGlobalId("TvMovie", 6);
+    expect(created.data.createMovie).toEqual({
+      __typename: "TvMovie",
+      id,
+      name: "Friends",
+    });
+
+    const updated = await server.execute(
+      `mutation Update($id: ID!) {
+        updateMovie(input: { id: $id, name: "Friends 2" }) { name yearOfPublication }
+      }`,
+      { as: ADMIN, variables: { id } }
+    );
+    expect(updated.data.updateMovie).toEqual({
+      name: "Friends 2",
+      yearOfPublication: 1994,
+    });
+
+    await server.execute(
+      `mutation Delete($id: ID!) { deleteMovie(id: $id) { id } }`,
+      { as: ADMIN, variables: { id } }
+    );
+    expect(
+      errorCodes(await server.execute(`{ movie(name: "Friends") { id } }`))
+    ).toEqual(["NOT_FOUND"]);
+  });
+
+  it("removes the deleted movie from the favorites", async () => {
+    await server.execute(`mutation { deleteMovie(id: "1") { id } }`, {
+      as: ADMIN,
+    });
+    const result = await server.execute(
+      `{ user(id: "2") { favoriteMovies { name } } }`
+    );
+
+    expect(result.data.user.favoriteMovies).toEqual([
+      { name: "PedroTech The Movie" },
+    ]);
+  });
+
+  it("never reuses the ID of a deleted movie", async () => {
+    await server.execute(`mutation { deleteMovie(id: "5") { id } }`, {
+      as: ADMIN,
+    });
+    const created = await server.execute(CREATE_MOVIE, {
+      as: ADMIN,
+      variables: {
+        input: {
+          type: "THEATER_MOVIE",
+          name: "Dune",
+          yearOfPublication: 2021,
+          isInTheaters: false,
+        },
+      },
+    });
+
+    expect(created.data.createMovie.id).toBe(toGlobalId("TheaterMovie", 6));
+  });
+
+  it("fails with VALIDATION_FAILED for the fields of the other movie type", async () => {
+    const result = await server.execute(CREATE_MOVIE, {
+      as: ADMIN,
+      variables: {
+        input: {
+          type: "THEATER_MOVIE",
+          name: "Dune",
+          yearOfPublication: 2021,
+          yearFirstAired: 2021,
+        },
+      },
+    });
+
+    expect(errorCodes(result)).toEqual(["VALIDATION_FAILED"]);
+  });
+
+  it("is only for the admins", async () => {
+    const result = await server.execute(
+      `mutation { deleteMovie(id: "1") { id } }`,
+      { as: JOHN }
+    );
+
+    expect(errorCodes(result)).toEqual(["FORBIDDEN"]);
+  });
+});
+
+describe("admin mutations", () => {
+  it("creates, updates and deletes an admin", async () => {
+    const created = await server.execute(
+      `mutation { createAdmin(input: { name: "Eva", username: "eva_admin" }) { id role } }`,
+      { as: SUPERADMIN }
+    );
+    const id = toGlobalId("Admin", 4);
+    expect(created.data.createAdmin).toEqual({ id, role: "ADMIN" });
+
+    const updated = await server.execute(
+      `mutation Update($id: ID!) {
+        updateAdminRole(input: { id: $id, role: SUPERADMIN }) { role }
+      }`,
+      { as: SUPERADMIN, variables: { id } }
+    );
+    expect(updated.data.updateAdminRole).toEqual({ role: "SUPERADMIN" });
+
+    await server.execute(
+      `mutation Delete($id: ID!) { deleteAdmin(id: $id) { id } }`,
+      { as: SUPERADMIN, variables: { id } }
+    );
+    expect(
+      errorCodes(
+        await server.execute(
+          `query Admin($id: ID!) { admin(id: $id) { id } }`,
+          {
+            variables: { id },
+          }
+        )
+      )
+    ).toEqual(["NOT_FOUND"]);
+  });
+
+  it("doesn't create an admin without a role", async () => {
+    const result = await server.execute(
+      `mutation { createAdmin(input: { name: "Eva", username: "eva_admin", role: null }) { id } }`,
+      { as: SUPERADMIN }
+    );
+
+    expect(errorCodes(result)).toEqual(["GRAPHQL_VALIDATION_FAILED"]);
+    expect(await server.dataSources.admins.findAll()).toHaveLength(3);
+  });
+
+  it("changes the admin, not the user with the same ID", async () => {
+    // Stored by an older version of the server, when the role could be null
+    const admin = await server.dataSources.admins.insert({
+      name: "Eva",
+      username: "eva_admin",
+      role: null,
+    });
+    const user = await server.dataSources.users.findById(admin.id);
+
+    const result = await server.execute(
+      `mutation Update($id: ID!) {
+        updateAdminRole(input: { id: $id, role: ADMIN }) { role }
+      }`,
+      { as: SUPERADMIN, variables: { id: toGlobalId("Admin", admin.id) } }
+    );
+
+    expect(result.data.updateAdminRole).toEqual({ role: "ADMIN" });
+    expect(await server.dataSources.users.findById(admin.id)).toEqual(user);
+  });
+
+  it("is only for the superadmins", async () => {
+    const result = await server.execute(
+      `mutation { deleteAdmin(id: "3") { id } }`,
+      { as: ADMIN }
+    );
+
+    expect(errorCodes(result)).toEqual(["FORBIDDEN"]);
+  });
+});
+
+describe("login", () => {
+  const LOGIN = `
+    mutation Login($username: String!, $password: String!) {
+      login(username: $username, password: $password) {
+        token
+        user {
+          __typename
+        }
+      }
+    }
+  `;
+
+  it("returns the token of the user or the admin", async () => {
+    for (const [username, type] of [
+      ["john", "User"],
+      ["andrew001", "Admin"],
+    ]) {
+      const result = await server.execute(LOGIN, {
+        variables: { username, password: PASSWORD },
+      });
+      const { token, user } = result.data.login;
+
+      expect(user.__typename).toBe(type);
+      // The token works for the next requests
+      const me = await server.execute(`{ me { __typename } }`, {
+        authorization: `Bearer ${token}`,
+      });
+      expect(me.data.me.__typename).toBe(type);
+    }
+  });
+
+  it("fails with UNAUTHENTICATED for a wrong password", async () => {
+    const result = await server.execute(LOGIN, {
+      variables: { username: "john", password: "wrong-password" },
+    });
+
+    expect(errorCodes(result)).toEqual(["UNAUTHENTICATED"]);
+  });
+});
@@ -0,0 +1,38 @@
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  connectionFromArray,
+} = require("../schema/pagination");
+
+const items = Array.from({ length: 120 }, (_, index) => index + 1);
+
+const nodes = (connection) => connection.edges.map((edge) => edge.node);
+
+it("returns only the first page without first/last", () => {
+  const connection = connectionFromArray(items, {});
+
+  expect(nodes(connection)).toHaveLength(DEFAULT_PAGE_SIZE);
+  expect(connection.pageInfo.hasNextPage).toBe(true);
+  expect(connection.totalCount).toBe(120);
+});
+
+it("returns the last items by last", () => {
+  expect(nodes(connectionFromArray(items, { last: 2 }))).toEqual([119, 120]);
+});
+
+it("fails with VALIDATION_FAILED for a page over the maximum or a negative one", () => {
+  [
+    { first: MAX_PAGE_SIZE + 1 },
+    { last: MAX_PAGE_SIZE + 1 },
+    { first: -1 },
+  ].forEach((args) => {
+    expect(() => connectionFromArray(items, args)).toThrow(
+      expect.objectContaining({
+        extensions: expect.objectContaining({ code: "VALIDATION_FAILED" }),
+      })
+    );
+  });
+  expect(
+    nodes(connectionFromArray(items, { first: MAX_PAGE_SIZE }))
+  ).toHaveLength(MAX_PAGE_SIZE);
+});
@@ -0,0 +1,210 @@
+const { SUPERADMIN, JOHN, createTestServer, errorCodes } = require("./helpers");
+const { ERRORS } = require("../errors");
+const { loadManifest } = require("../plugins/persisted-queries");
+const { metricsRegistry } = require("../plugins/telemetry");
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer();
+});
+
+describe("query limits", () => {
+  it("sends the depth and the cost in the extensions", async () => {
+    const result = await server.execute(`{ movies { totalCount } }`);
+
+    expect(result.extensions.cost).toEqual({
+      depth: 2,
+      cost: 1,
+      maxDepth: 10,
+      maxCost: 5000,
+    });
+  });
+
+  it("fails with QUERY_TOO_DEEP", async () => {
+    const friends = (depth) =>
+      depth === 0 ? "id" : `friends { ${friends(depth - 1)} }`;
+    const result = await server.execute(`{ user(id: "1") { ${friends(10)} } }`);
+
+    expect(errorCodes(result)).toEqual(["QUERY_TOO_DEEP"]);
+    expect(result.data).toBeUndefined();
+  });
+
+  it("fails with QUERY_TOO_COMPLEX", async () => {
+    const result = await server.execute(
+      `{ users(first: 100) { edges { node { ... on User { friends { friends { favoriteMovies { favoritedBy { id } } } } } } } } }`
+    );
+
+    expect(errorCodes(result)).toEqual(["QUERY_TOO_COMPLEX"]);
+  });
+
+  it("doesn't let a negative page size lower the cost of the other fields", async () => {
+    const result = await server.execute(
+      `{
+        negative: movies(first: -1055000) { edges { node { id } } }
+        users(first: 100) { edges { node { ... on User { friends { friends { favoriteMovies { favoritedBy { id } } } } } } } }
+      }`
+    );
+
+    expect(errorCodes(result)).toEqual(["QUERY_TOO_COMPLEX"]);
+  });
+});
+
+describe("GraphQL errors", () => {
+  it("fails with GRAPHQL_PARSE_FAILED and GRAPHQL_VALIDATION_FAILED", async () => {
+    expect(errorCodes(await server.execute(`{ users {`))).toEqual([
+      "GRAPHQL_PARSE_FAILED",
+    ]);
+    expect(errorCodes(await server.execute(`{ users { unknown } }`))).toEqual([
+      "GRAPHQL_VALIDATION_FAILED",
+    ]);
+  });
+
+  describe("internal errors", () => {
+    const NODE_ENV = process.env.NODE_ENV;
+    const MOVIES = `{ movies { totalCount } }`;
+
+    beforeEach(() => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      server.dataSources.movies.findAll = async () => {
+        throw new Error("Connection to 10.0.0.5 refused");
+      };
+    });
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV;
+      jest.restoreAllMocks();
+    });
+
+    it("hides the message of INTERNAL_SERVER_ERROR in production", async () => {
+      process.env.NODE_ENV = "production";
+      const result = await server.execute(MOVIES);
+
+      expect(errorCodes(result)).toEqual(["INTERNAL_SERVER_ERROR"]);
+      expect(result.errors[0].message).toBe(ERRORS.INTERNAL_SERVER_ERROR);
+      expect(result.errors[0].extensions.stacktrace).toBeUndefined();
+      // Only logged on the server
+      expect(console.error).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Connection to 10.0.0.5 refused" })
+      );
+    });
+
+    it("keeps the message during development", async () => {
+      process.env.NODE_ENV = "development";
+      const result = await server.execute(MOVIES);
+
+      expect(errorCodes(result)).toEqual(["INTERNAL_SERVER_ERROR"]);
+      expect(result.errors[0].message).toBe("Connection to 10.0.0.5 refused");
+    });
+  });
+});
+
+describe("persisted queries", () => {
+  const manifest = loadManifest();
+  // The hash of the client's operation (see persisted-queries.json)
+  const GET_ALL_MOVIES = [...manifest.keys()].find((hash) =>
+    manifest.get(hash).startsWith("query GetAllMovies ")
+  );
+  const persistedQuery = (sha256Hash) => ({
+    extensions: { persistedQuery: { version: 1, sha256Hash } },
+  });
+
+  it("executes the operation from the manifest sent only by its hash", async () => {
+    const result = await server.execute(
+      undefined,
+      persistedQuery(GET_ALL_MOVIES)
+    );
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.movies.edges).toHaveLength(5);
+  });
+
+  it("fails with PERSISTED_QUERY_NOT_FOUND for an unknown hash", async () => {
+    const result = await server.execute(
+      undefined,
+      persistedQuery("0".repeat(64))
+    );
+
+    expect(errorCodes(result)).toEqual(["PERSISTED_QUERY_NOT_FOUND"]);
+  });
+
+  describe("allowlist only", () => {
+    beforeEach(() => {
+      server = createTestServer({ allowlistOnly: true });
+    });
+
+    it("fails with OPERATION_NOT_ALLOWED for the operations not in the manifest", async () => {
+      const result = await server.execute(
+        `query Movies { movies { totalCount } }`
+      );
+
+      expect(errorCodes(result)).toEqual(["OPERATION_NOT_ALLOWED"]);
+      expect(result.data).toBeUndefined();
+    });
+
+    it("executes the operations from the manifest", async () => {
+      const withText = await server.execute(manifest.get(GET_ALL_MOVIES));
+      const withHash = await server.execute(
+        undefined,
+        persistedQuery(GET_ALL_MOVIES)
+      );
+
+      expect(withText.errors).toBeUndefined();
+      expect(withHash.errors).toBeUndefined();
+      expect(withHash.data).toEqual(withText.data);
+    });
+  });
+});
+
+describe("response cache", () => {
+  it("caches the private responses for every account separately", async () => {
+    const ME = `{ me { __typename } }`;
+
+    // User 1 and Admin 1 have the same numeric ID, but they must not share the cached responses
+    expect((await server.execute(ME, { as: JOHN })).data.me).toEqual({
+      __typename: "User",
+    });
+    expect((await server.execute(ME, { as: SUPERADMIN })).data.me).toEqual({
+      __typename: "Admin",
+    });
+  });
+
+  it("doesn't return the cached response after a change", async () => {
+    const MOVIES = `{ movies { totalCount } }`;
+    await server.execute(MOVIES);
+
+    await server.execute(`mutation { deleteMovie(id: "1") { id } }`, {
+      as: SUPERADMIN,
+    });
+
+    expect((await server.execute(MOVIES)).data.movies.totalCount).toBe(4);
+  });
+
+  it("keeps the cached responses after a change of the audit log or the deprecated usage", async () => {
+    const MOVIES = `{ movies { totalCount } }`;
+    const findAllMovies = jest.spyOn(server.dataSources.movies, "findAll");
+    await server.execute(MOVIES);
+
+    // F.e. a cached query using a deprecated field is recorded (see plugins/deprecation-usage.js)
+    await server.dataSources.deprecatedUsage.insert({
+      coordinate: "Mutation.updateUsername",
+      count: 1,
+    });
+    await server.dataSources.auditLog.insert({ action: "UPDATED" });
+    await server.execute(MOVIES);
+
+    expect(findAllMovies).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("metrics", () => {
+  it("uses only the names of the client's operations as labels", async () => {
+    await server.execute(`query GetAllMovies { movies { totalCount } }`);
+    await server.execute(`query RandomName123 { movies { totalCount } }`);
+    const metrics = await metricsRegistry.metrics();
+
+    expect(metrics).toContain('operation_name="GetAllMovies"');
+    expect(metrics).toContain('operation_name="other"');
+    expect(metrics).not.toContain("RandomName123");
+  });
+});
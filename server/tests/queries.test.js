@@ -0,0 +1,422 @@
+const {
+  SUPERADMIN,
+  JOHN,
+  PEDRO,
+  createTestServer,
+  errorCodes,
+} = require("./helpers");
+const { toGlobalId } = require("../schema/global-id");
+
+let server;
+
+beforeEach(() => {
+  server = createTestServer();
+});
+
+describe("users", () => {
+  const USERS = `
+    query Users($filter: UsersFilter, $orderBy: UsersOrderBy, $first: Int, $after: String) {
+      users(filter: $filter, orderBy: $orderBy, first: $first, after: $after) {
+        edges {
+          cursor
+          node {
+            __typename
+            ... on User {
+              id
+              username
+              friends {
+                username
+              }
+              favoriteMovies {
+                name
+              }
+            }
+            ... on Admin {
+              username
+              role
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        totalCount
+      }
+    }
+  `;
+
+  it("returns the users first, then the admins (the UserAdmin union)", async () => {
+    const result = await server.execute(USERS);
+
+    expect(result.errors).toBeUndefined();
+    const nodes = result.data.users.edges.map((edge) => edge.node);
+    expect(nodes.map((node) => node.__typename)).toEqual([
+      "User",
+      "User",
+      "User",
+      "User",
+      "User",
+      "Admin",
+      "Admin",
+      "Admin",
+    ]);
+    expect(nodes[0]).toEqual({
+      __typename: "User",
+      id: toGlobalId("User", 1),
+      username: "john",
+      friends: [{ username: "PedroTech" }, { username: "kelly2019" }],
+      favoriteMovies: [{ name: "Interstellar" }, { name: "Superbad" }],
+    });
+    expect(nodes[5]).toEqual({
+      __typename: "Admin",
+      username: "andrew001",
+      role: "SUPERADMIN",
+    });
+    expect(result.data.users.totalCount).toBe(8);
+  });
+
+  it("returns the pages by the cursors", async () => {
+    const firstPage = await server.execute(USERS, { variables: { first: 3 } });
+    const { edges, pageInfo } = firstPage.data.users;
+
+    expect(edges).toHaveLength(3);
+    expect(pageInfo.hasNextPage).toBe(true);
+
+    const secondPage = await server.execute(USERS, {
+      variables: { first: 3, after: pageInfo.endCursor },
+    });
+
+    expect(
+      secondPage.data.users.edges.map((edge) => edge.node.username)
+    ).toEqual(["rafe123", "kelly2019", "andrew001"]);
+  });
+
+  it("filters and orders the users", async () => {
+    const result = await server.execute(USERS, {
+      variables: {
+        filter: { minAge: 20, maxAge: 30 },
+        orderBy: { field: "AGE", direction: "DESC" },
+      },
+    });
+
+    expect(result.data.users.edges.map((edge) => edge.node.username)).toEqual([
+      "cameron",
+      "john",
+      "PedroTech",
+    ]);
+  });
+
+  it("returns the deleted users only to the admins", async () => {
+    await server.execute(`mutation { deleteUser(id: "1") { id } }`, {
+      as: SUPERADMIN,
+    });
+    const query = `{ users(includeDeleted: true) { totalCount } }`;
+
+    expect(errorCodes(await server.execute(query, { as: PEDRO }))).toEqual([
+      "FORBIDDEN",
+    ]);
+    expect(
+      (await server.execute(query, { as: SUPERADMIN })).data.users.totalCount
+    ).toBe(8);
+    expect(
+      (await server.execute(`{ users { totalCount } }`)).data.users.totalCount
+    ).toBe(7);
+  });
+});
+
+describe("user", () => {
+  it("accepts the global and the numeric ID", async () => {
+    const query = `query User($id: ID!) { user(id: $id) { name } }`;
+
+    const byGlobalId = await server.execute(query, {
+      variables: { id: toGlobalId("User", 3) },
+    });
+    const byNumericId = await server.execute(query, {
+      variables: { id: "3" },
+    });
+
+    expect(byGlobalId.data.user).toEqual({ name: "Sarah" });
+    expect(byNumericId.data.user).toEqual({ name: "Sarah" });
+  });
+
+  it("fails with NOT_FOUND for an unknown user", async () => {
+    const result = await server.execute(`{ user(id: "99") { name } }`);
+
+    expect(errorCodes(result)).toEqual(["NOT_FOUND"]);
+    expect(result.errors[0].extensions).toMatchObject({
+      entity: "User",
+      id: "99",
+    });
+  });
+
+  it("fails with VALIDATION_FAILED for an ID of other type", async () => {
+    const result = await server.execute(
+      `query User($id: ID!) { user(id: $id) { name } }`,
+      { variables: { id: toGlobalId("Admin", 1) } }
+    );
+
+    expect(errorCodes(result)).toEqual(["VALIDATION_FAILED"]);
+  });
+
+  it("returns the email only to the user himself and the admins", async () => {
+    await server.dataSources.users.update(1, { email: "john@example.com" });
+    const query = `{ user(id: "1") { email } }`;
+    const emailFor = async (as) =>
+      (await server.execute(query, { as })).data.user.email;
+
+    expect(await emailFor(JOHN)).toBe("john@example.com");
+    expect(await emailFor(SUPERADMIN)).toBe("john@example.com");
+    expect(await emailFor(PEDRO)).toBeNull();
+    expect(await emailFor(undefined)).toBeNull();
+  });
+});
+
+describe("me", () => {
+  const ME = `
+    {
+      me {
+        __typename
+        ... on User {
+          username
+        }
+        ... on Admin {
+          role
+        }
+      }
+    }
+  `;
+
+  it("returns the logged in user or admin", async () => {
+    expect((await server.execute(ME, { as: JOHN })).data.me).toEqual({
+      __typename: "User",
+      username: "john",
+    });
+    expect((await server.execute(ME, { as: SUPERADMIN })).data.me).toEqual({
+      __typename: "Admin",
+      role: "SUPERADMIN",
+    });
+  });
+
+  it("returns null without a valid token", async () => {
+    expect((await server.execute(ME)).data.me).toBeNull();
+    expect(
+      (await server.execute(ME, { authorization: "Bearer invalid" })).data.me
+    ).toBeNull();
+  });
+});
+
+describe("movies", () => {
+  const MOVIES = `
+    query Movies($filter: MoviesFilter, $orderBy: MoviesOrderBy) {
+      movies(filter: $filter, orderBy: $orderBy) {
+        edges {
+          node {
+            __typename
+            name
+            ... on TvMovie {
+              yearFirstAired
+            }
+            ... on TheaterMovie {
+              isInTheaters
+            }
+            favoritedBy {
+              username
+            }
+          }
+        }
+        totalCount
+      }
+    }
+  `;
+
+  it("resolves the concrete types of the Movie interface", async () => {
+    const result = await server.execute(MOVIES, {
+      variables: { orderBy: { field: "ID" } },
+    });
+
+    expect(result.errors).toBeUndefined();
+    const nodes = result.data.movies.edges.map((edge) => edge.node);
+    expect(nodes[0]).toEqual({
+      __typename: "TheaterMovie",
+      name: "Avengers Endgame",
+      isInTheaters: true,
+      favoritedBy: [{ username: "PedroTech" }, { username: "kelly2019" }],
+    });
+    expect(nodes[2]).toEqual({
+      __typename: "TvMovie",
+      name: "PedroTech The Movie",
+      yearFirstAired: 2036,
+      favoritedBy: [{ username: "PedroTech" }],
+    });
+    expect(result.data.movies.totalCount).toBe(5);
+  });
+
+  it("filters the movies by the type", async () => {
+    const result = await server.execute(MOVIES, {
+      variables: { filter: { type: "TV_MOVIE" } },
+    });
+
+    expect(result.data.movies.edges.map((edge) => edge.node.name)).toEqual([
+      "PedroTech The Movie",
+      "American Pie 6",
+    ]);
+  });
+});
+
+describe("movie", () => {
+  it("finds the movie by its name", async () => {
+    const query = `query Movie($name: String!) { movie(name: $name) { __typename name } }`;
+
+    expect(
+      (await server.execute(query, { variables: { name: "superbad" } })).data
+        .movie
+    ).toEqual({ __typename: "TheaterMovie", name: "Superbad" });
+    expect(
+      (await server.execute(query, { variables: { name: "Pie" } })).data.movie
+    ).toEqual({ __typename: "TvMovie", name: "American Pie 6" });
+  });
+
+  it("fails with NOT_FOUND for an unknown movie", async () => {
+    const result = await server.execute(`{ movie(name: "Avatar") { name } }`);
+
+    expect(errorCodes(result)).toEqual(["NOT_FOUND"]);
+  });
+});
+
+describe("admins", () => {
+  it("returns the admins", async () => {
+    const result = await server.execute(
+      `{ admins { edges { node { id username role } } totalCount } }`
+    );
+
+    expect(result.data.admins.totalCount).toBe(3);
+    expect(result.data.admins.edges[1].node).toEqual({
+      id: toGlobalId("Admin", 2),
+      username: "chris007",
+      role: "ADMIN",
+    });
+  });
+
+  it("returns one admin by the ID", async () => {
+    const result = await server.execute(`{ admin(id: "3") { name } }`);
+
+    expect(result.data.admin).toEqual({ name: "Jaro" });
+  });
+
+  it("fails with NOT_FOUND for an unknown admin", async () => {
+    const result = await server.execute(`{ admin(id: "99") { name } }`);
+
+    expect(errorCodes(result)).toEqual(["NOT_FOUND"]);
+  });
+});
+
+describe("node", () => {
+  const NODES = `
+    query Nodes($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        __typename
+        id
+      }
+    }
+  `;
+
+  it("returns any object by its global ID", async () => {
+    const ids = [
+      toGlobalId("User", 1),
+      toGlobalId("Admin", 1),
+      toGlobalId("TvMovie", 3),
+      toGlobalId("TheaterMovie", 1),
+    ];
+    const result = await server.execute(NODES, { variables: { ids } });
+
+    expect(result.data.nodes).toEqual([
+      { __typename: "User", id: ids[0] },
+      { __typename: "Admin", id: ids[1] },
+      { __typename: "TvMovie", id: ids[2] },
+      { __typename: "TheaterMovie", id: ids[3] },
+    ]);
+  });
+
+  it("returns null for unknown IDs and for the wrong movie type", async () => {
+    const result = await server.execute(NODES, {
+      variables: {
+        ids: [toGlobalId("User", 99), toGlobalId("TvMovie", 1), "invalid"],
+      },
+    });
+
+    expect(result.data.nodes).toEqual([null, null, null]);
+  });
+
+  it("returns the node by the node query", async () => {
+    const result = await server.execute(
+      `query Node($id: ID!) { node(id: $id) { ... on User { name } } }`,
+      { variables: { id: toGlobalId("User", 2) } }
+    );
+
+    expect(result.data.node).toEqual({ name: "Pedro" });
+  });
+});
+
+describe("auditLog", () => {
+  const AUDIT_LOG = `
+    query AuditLog($entityId: ID) {
+      auditLog(entityId: $entityId) {
+        edges {
+          node {
+            action
+            entity
+            entityId
+            actor {
+              ... on Admin {
+                username
+              }
+            }
+            before
+            after
+          }
+        }
+        totalCount
+      }
+    }
+  `;
+
+  it("returns the changes, the newest first", async () => {
+    await server.execute(
+      `mutation { updateUsername(input: { id: "1", newUsername: "johnny" }) { id } }`,
+      { as: SUPERADMIN }
+    );
+    await server.execute(`mutation { deleteUser(id: "1") { id } }`, {
+      as: SUPERADMIN,
+    });
+
+    const result = await server.execute(AUDIT_LOG, {
+      as: SUPERADMIN,
+      variables: { entityId: toGlobalId("User", 1) },
+    });
+    const entries = result.data.auditLog.edges.map((edge) => edge.node);
+
+    expect(entries.map((entry) => entry.action)).toEqual([
+      "DELETED",
+      "UPDATED",
+    ]);
+    expect(entries[1]).toMatchObject({
+      entity: "User",
+      entityId: toGlobalId("User", 1),
+      actor: { username: "andrew001" },
+      before: { username: "john" },
+      after: { username: "johnny" },
+    });
+    // The password hash is never in the audit log
+    expect(entries[1].after).not.toHaveProperty("passwordHash");
+  });
+
+  it("is only for the admins", async () => {
+    expect(errorCodes(await server.execute(AUDIT_LOG))).toEqual([
+      "UNAUTHENTICATED",
+    ]);
+    expect(errorCodes(await server.execute(AUDIT_LOG, { as: JOHN }))).toEqual([
+      "FORBIDDEN",
+    ]);
+  });
+});
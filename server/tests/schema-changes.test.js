@@ -0,0 +1,146 @@
+const { buildSchema } = require("graphql");
+const {
+  findSchemaChanges,
+  findAffectedOperations,
+  findInvalidOperations,
+} = require("../schema/changes");
+
+const OLD_SDL = `
+  type Query {
+    users: [User!]!
+    movies: [Movie!]!
+  }
+
+  type Mutation {
+    createUser(input: CreateUserInput!): User
+  }
+
+  type User {
+    name: String!
+    age: Int
+    nationality: Nationality!
+  }
+
+  type Movie {
+    name: String!
+    yearOfPublication: Int
+  }
+
+  input CreateUserInput {
+    name: String!
+    nationality: Nationality = BRAZIL
+  }
+
+  enum Nationality {
+    CANADA
+    BRAZIL
+  }
+`;
+
+const operations = [
+  { name: "GetUsers", body: `query GetUsers { users { name age } }` },
+  { name: "GetMovies", body: `query GetMovies { movies { name } }` },
+  {
+    name: "CreateUser",
+    body: `mutation CreateUser($input: CreateUserInput!) { createUser(input: $input) { name } }`,
+  },
+];
+
+const oldSchema = buildSchema(OLD_SDL);
+
+const changeSchema = (replacements) =>
+  buildSchema(
+    replacements.reduce((sdl, [from, to]) => sdl.replace(from, to), OLD_SDL)
+  );
+
+const describeChanges = (changes) =>
+  changes.map((change) => `${change.type}: ${change.description}`);
+
+it("finds no changes in the same schema", () => {
+  expect(findSchemaChanges(oldSchema, buildSchema(OLD_SDL))).toEqual({
+    breaking: [],
+    dangerous: [],
+    safe: [],
+  });
+});
+
+it("sorts the changes into breaking, dangerous and safe", () => {
+  const newSchema = changeSchema([
+    ["age: Int", "age: Int!"],
+    ["    BRAZIL\n", "    GERMANY\n"],
+    ["name: String!\n    age", "name: String\n    age"],
+    [
+      "nationality: Nationality!\n  }",
+      'nationality: Nationality!\n    email: String @deprecated(reason: "Not used")\n  }',
+    ],
+  ]);
+
+  const { breaking, dangerous, safe } = findSchemaChanges(oldSchema, newSchema);
+
+  expect(describeChanges(breaking)).toEqual([
+    "FIELD_CHANGED_KIND: User.name changed type from String! to String.",
+    "VALUE_REMOVED_FROM_ENUM: BRAZIL was removed from enum type Nationality.",
+  ]);
+  expect(describeChanges(dangerous)).toEqual([
+    "VALUE_ADDED_TO_ENUM: GERMANY was added to enum type Nationality.",
+  ]);
+  expect(describeChanges(safe)).toEqual([
+    "FIELD_TYPE_CHANGED: User.age changed type from Int to Int!.",
+    "FIELD_ADDED: User.email was added.",
+  ]);
+});
+
+it("finds the safe additions and deprecations", () => {
+  const newSchema = changeSchema([
+    [
+      "type Movie {",
+      "type Director {\n    name: String!\n  }\n\n  type Movie {",
+    ],
+    ["age: Int", 'age: Int @deprecated(reason: "Use birthDate")'],
+    ["    CANADA\n", '    CANADA @deprecated(reason: "Not used")\n'],
+  ]);
+
+  expect(describeChanges(findSchemaChanges(oldSchema, newSchema).safe)).toEqual(
+    [
+      "FIELD_DEPRECATED: User.age was deprecated: Use birthDate",
+      "TYPE_ADDED: Director was added.",
+      "ENUM_VALUE_DEPRECATED: Nationality.CANADA was deprecated: Not used",
+    ]
+  );
+});
+
+describe("client operations", () => {
+  it("finds the operations using the changed fields and types", () => {
+    const newSchema = changeSchema([
+      ["age: Int\n", ""],
+      ["    BRAZIL\n", ""],
+      ["nationality: Nationality = BRAZIL", "nationality: Nationality"],
+    ]);
+    const { breaking } = findSchemaChanges(oldSchema, newSchema);
+    const affected = Object.fromEntries(
+      breaking.map((change) => [
+        change.description,
+        findAffectedOperations(change, operations, oldSchema),
+      ])
+    );
+
+    expect(affected).toEqual({
+      "User.age was removed.": ["GetUsers"],
+      // GetUsers doesn't select the nationality, but CreateUser can send it in the input
+      "BRAZIL was removed from enum type Nationality.": ["CreateUser"],
+    });
+  });
+
+  it("returns the operations not valid against the new schema", () => {
+    const newSchema = changeSchema([["age: Int\n", ""]]);
+
+    expect(findInvalidOperations(operations, newSchema)).toEqual([
+      {
+        name: "GetUsers",
+        errors: [
+          'Cannot query field "age" on type "User". Did you mean "name"?',
+        ],
+      },
+    ]);
+  });
+});
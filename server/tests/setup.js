@@ -0,0 +1,2 @@
+// The tests never touch data/db.json - every test gets its own in-memory data (see helpers.js)
+process.env.DATA_STORE = "memory";
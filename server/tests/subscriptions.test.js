@@ -0,0 +1,158 @@
+const { parse, subscribe } = require("graphql");
+const { schema, createWsOnSubscribe } = require("../index");
+const { buildContext } = require("../context");
+const {
+  SUPERADMIN,
+  JOHN,
+  authorizationFor,
+  createTestServer,
+} = require("./helpers");
+const { toGlobalId } = require("../schema/global-id");
+
+/**
+ * The subscriptions are running over the WebSocket server (see index.js), not through the Apollo server,
+ * so we subscribe directly with the schema and trigger the events by the mutations.
+ */
+let server;
+
+beforeEach(() => {
+  server = createTestServer();
+});
+
+const subscribeTo = async (query) => {
+  const iterator = await subscribe({
+    schema,
+    document: parse(query),
+    contextValue: await buildContext({ dataSources: server.dataSources }),
+  });
+
+  // The first event (the subscription is already active, so the mutation after this call is caught)
+  const nextEvent = iterator.next();
+  return { nextEvent, close: () => iterator.return() };
+};
+
+it("sends the created user", async () => {
+  const subscription = await subscribeTo(
+    `subscription { userCreated { id username } }`
+  );
+
+  await server.execute(
+    `mutation { createUser(input: { name: "Eva", username: "eva_1", age: 30 }) { id } }`
+  );
+
+  expect((await subscription.nextEvent).value.data).toEqual({
+    userCreated: { id: toGlobalId("User", 6), username: "eva_1" },
+  });
+  await subscription.close();
+});
+
+it("doesn't send the email of the created user to other users", async () => {
+  const subscription = await subscribeTo(
+    `subscription { userCreated { username email } }`
+  );
+
+  await server.execute(
+    `mutation { createUser(input: { name: "Eva", username: "eva_1", age: 30, email: "eva@example.com" }) { id } }`
+  );
+
+  expect((await subscription.nextEvent).value.data).toEqual({
+    userCreated: { username: "eva_1", email: null },
+  });
+  await subscription.close();
+});
+
+it("sends the updated user", async () => {
+  const subscription = await subscribeTo(
+    `subscription { userUpdated { id username version } }`
+  );
+
+  await server.execute(
+    `mutation { updateUser(input: { id: "1", username: "john_2" }) { id } }`,
+    { authorization: authorizationFor(JOHN) }
+  );
+
+  expect((await subscription.nextEvent).value.data).toEqual({
+    userUpdated: { id: toGlobalId("User", 1), username: "john_2", version: 2 },
+  });
+  await subscription.close();
+});
+
+it("sends the global ID of the deleted user", async () => {
+  const subscription = await subscribeTo(`subscription { userDeleted }`);
+
+  await server.execute(`mutation { deleteUser(id: "2") { id } }`, {
+    authorization: authorizationFor(SUPERADMIN),
+  });
+
+  expect((await subscription.nextEvent).value.data).toEqual({
+    userDeleted: toGlobalId("User", 2),
+  });
+  await subscription.close();
+});
+
+it("sends the changed movie with the action", async () => {
+  const subscription = await subscribeTo(
+    `subscription { movieChanged { action movie { __typename name } } }`
+  );
+
+  await server.execute(
+    `mutation { updateMovie(input: { id: "3", name: "PedroTech 2" }) { id } }`,
+    { as: SUPERADMIN }
+  );
+
+  expect((await subscription.nextEvent).value.data).toEqual({
+    movieChanged: {
+      action: "UPDATED",
+      movie: { __typename: "TvMovie", name: "PedroTech 2" },
+    },
+  });
+  await subscription.close();
+});
+
+describe("operations sent over the WebSocket", () => {
+  const onSubscribe = createWsOnSubscribe({ allowlistOnly: false });
+  const check = (query) => {
+    const result = onSubscribe(null, { payload: { query } });
+    return Array.isArray(result)
+      ? result.map((error) => error.extensions.code)
+      : [];
+  };
+
+  it("accepts a subscription", () => {
+    expect(check(`subscription { userCreated { id username } }`)).toEqual([]);
+  });
+
+  it("rejects queries and mutations", () => {
+    expect(check(`{ users { totalCount } }`)).toEqual([
+      "OPERATION_NOT_ALLOWED",
+    ]);
+    expect(check(`mutation { deleteUser(id: "2") { id } }`)).toEqual([
+      "OPERATION_NOT_ALLOWED",
+    ]);
+  });
+
+  it("rejects too deep or too expensive subscriptions", () => {
+    const friends = (depth) =>
+      depth ? `friends { ${friends(depth - 1)} }` : "name";
+
+    expect(check(`subscription { userUpdated { ${friends(10)} } }`)).toEqual([
+      "QUERY_TOO_DEEP",
+    ]);
+    expect(
+      check(
+        `subscription { userUpdated { ${friends(4).replace(
+          "name",
+          "favoriteMovies { name }"
+        )} } }`
+      )
+    ).toEqual(["QUERY_TOO_COMPLEX"]);
+  });
+
+  it("rejects an invalid subscription", () => {
+    const [error] = onSubscribe(null, {
+      payload: { query: `subscription { userCreated { unknownField } }` },
+    });
+
+    expect(error.message).toMatch(/Cannot query field "unknownField"/);
+  });
+});
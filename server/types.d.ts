@@ -0,0 +1,122 @@
+import type DataLoader from "dataloader";
+import type { Request } from "express";
+
+import type {
+  AdminRole,
+  AuditAction,
+  Nationality,
+} from "./schema/generated/resolvers-types";
+
+/**
+ * Types of the records from the data layer and of the resolvers' context
+ *
+ * The resolvers are working with the records (numeric IDs, "friends" as a list of IDs, ...), not with
+ * the GraphQL types - so the code generator maps the GraphQL types to these records (the "mappers" in
+ * .graphqlrc.yml) and the parents of the resolvers are typed by them. "npm run typecheck" then checks
+ * the resolvers (and the rest of the server) against these types - see tsconfig.json.
+ */
+
+// Every record gets them from the repository (see data/repository.js)
+export interface RecordMetadata {
+  id: number;
+  version: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface UserRecord extends RecordMetadata {
+  name: string;
+  username: string;
+  passwordHash?: string;
+  age?: number;
+  email?: string;
+  nationality?: Nationality;
+  // IDs of the users and movies
+  friends?: number[];
+  favoriteMovies?: number[];
+  deletedAt?: string | null;
+  // Only admins have the "role", so the UserAdmin union tells the accounts apart by it. The data layer doesn't -
+  // the collection of a changed account is always given explicitly (see changeUser in schema/helpers.js).
+  role?: never;
+}
+
+export interface AdminRecord extends RecordMetadata {
+  name: string;
+  username: string;
+  passwordHash?: string;
+  role: AdminRole;
+}
+
+// A TV movie has the "yearFirstAired", a theater movie the "isInTheaters" (see getMovieType in schema/helpers.js)
+export interface MovieRecord extends RecordMetadata {
+  name: string;
+  yearOfPublication: number;
+  releaseDate?: string;
+  isInTheaters?: boolean;
+  yearFirstAired?: number;
+}
+
+export type AccountType = "User" | "Admin";
+
+// See audit.js
+export interface AuditLogRecord extends RecordMetadata {
+  action: AuditAction;
+  entity: AccountType;
+  entityId: number;
+  actorType: AccountType | null;
+  actorId: number | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+}
+
+// See plugins/deprecation-usage.js
+export interface DeprecatedUsageRecord extends RecordMetadata {
+  coordinate: string;
+  clientName: string | null;
+  clientVersion: string | null;
+  operationName: string | null;
+  count: number;
+}
+
+// See data/repository.js
+export interface Repository<T extends RecordMetadata> {
+  getVersion(): number;
+  findAll(): Promise<T[]>;
+  findById(id: number | string): Promise<T | undefined>;
+  findByIds(ids: Array<number | string>): Promise<T[]>;
+  insert(record: Omit<T, keyof RecordMetadata>): Promise<T>;
+  update(
+    id: number | string,
+    // See data/repository.js - a function gets the current record
+    changes: Partial<T> | ((record: T) => Partial<T>),
+    options?: { expectedVersion?: number | null }
+  ): Promise<T | undefined>;
+  remove(id: number | string): Promise<T | undefined>;
+}
+
+// See data/index.js
+export interface DataSources {
+  users: Repository<UserRecord>;
+  admins: Repository<AdminRecord>;
+  movies: Repository<MovieRecord>;
+  auditLog: Repository<AuditLogRecord>;
+  deprecatedUsage: Repository<DeprecatedUsageRecord>;
+}
+
+// See loaders.js
+export interface Loaders {
+  userById: DataLoader<number, UserRecord | undefined>;
+  adminById: DataLoader<number, AdminRecord | undefined>;
+  movieById: DataLoader<number, MovieRecord | undefined>;
+  usersByFavoriteMovieId: DataLoader<number, UserRecord[]>;
+}
+
+// See context.js
+export interface Context {
+  // The logged in user or admin
+  currentUser: UserRecord | AdminRecord | null;
+  dataSources: DataSources;
+  loaders: Loaders;
+  // Only in the HTTP requests, not in the subscriptions
+  req?: Request;
+}